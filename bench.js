@@ -0,0 +1,126 @@
+// Benchmark the per-move cost of the strategy on boards of different sizes.
+//
+//   node bench.js                                  11x11, 19x19 and 25x25, 4 snakes each
+//   node bench.js --size 19 --snakes 8 --depth 2 --positions 50
+//
+// Positions come from seeded offline games (engine.js) played by emergencyMove(), which is
+// cheap and deterministic, so the same seed benchmarks the same boards. For every position
+// it times analyze() (flood fill, regions and exits, Voronoi and choke checks for each move)
+// and a full decision searched to a fixed --depth with no deadline. Each timed call gets a
+// fresh copy of the position and an empty analysis cache (grid.js), like a new turn would.
+
+import { parseArgs, format } from 'node:util';
+import { runGame, stateForSnake } from './engine.js';
+import { emergencyMove } from './emergency.js';
+import { decideMove, analyze } from './snake.js';
+import { forgetGrids } from './grid.js';
+import { configFor } from './config.js';
+import { setLogLevel } from './logger.js';
+
+const USAGE = `Usage: node bench.js [options]
+
+      --size <n>         board size to benchmark, n x n (repeatable; default 11, 19 and 25)
+  -g, --ruleset <name>   standard | royale | wrapped | constrictor (default standard)
+  -n, --snakes <n>       snakes per game (default 4)
+      --positions <n>    positions timed per board size (default 30)
+      --rounds <n>       times each position is timed (default 3)
+      --depth <n>        lookahead depth of the timed decisions (default 1)
+      --seed <n>         seed of the games the positions come from (default 1)
+  -h, --help             show this help`;
+
+const print = (...args) => process.stdout.write(format(...args) + "\n");
+
+const { values: args } = parseArgs({
+  options: {
+    size: { type: "string", multiple: true, default: ["11", "19", "25"] },
+    ruleset: { type: "string", short: "g", default: "standard" },
+    snakes: { type: "string", short: "n", default: "4" },
+    positions: { type: "string", default: "30" },
+    rounds: { type: "string", default: "3" },
+    depth: { type: "string", default: "1" },
+    seed: { type: "string", default: "1" },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (args.help) {
+  print(USAGE);
+  process.exit(0);
+}
+
+setLogLevel("silent");
+
+const rounds = Number(args.rounds);
+const depth = Number(args.depth);
+
+print(`${args.ruleset}, ${args.snakes} snakes, depth ${depth}, ${args.positions} positions x ${rounds} rounds (ms per move)`);
+print(`  ${"board".padEnd(8)} ${"cells".padStart(5)}  ${"analyze mean".padStart(12)} ${"p95".padStart(7)}  ${"decide mean".padStart(12)} ${"p95".padStart(7)}`);
+
+const sizes = args.size.map(Number);
+const boards = sizes.map((size) => positions(size, Number(args.positions)));
+
+// one untimed pass over everything first, so the first board size isn't timed while the
+// code is still being optimized
+for (const state of boards.flat()) {
+  analyze(fresh(state));
+  decideMove(fresh(state), benchSettings(state), { dryRun: true });
+}
+
+for (const [i, size] of sizes.entries()) {
+  const analysis = [], decisions = [];
+
+  for (const state of boards[i]) {
+    const settings = benchSettings(state);
+    for (let r = 0; r < rounds; r++) {
+      const copies = [fresh(state), fresh(state)];
+      analysis.push(timed(() => analyze(copies[0])));
+      forgetGrids();
+      decisions.push(timed(() => decideMove(copies[1], settings, { dryRun: true })));
+    }
+  }
+
+  const [am, ap] = summary(analysis), [dm, dp] = summary(decisions);
+  print(`  ${`${size}x${size}`.padEnd(8)} ${String(size * size).padStart(5)}  ${am.padStart(12)} ${ap.padStart(7)}  ${dm.padStart(12)} ${dp.padStart(7)}`);
+}
+
+// `count` positions, every fifth turn of as many games as it takes, each seen by whichever
+// snake is listed first
+function positions(size, count) {
+  const states = [];
+  const players = Array.from({ length: Number(args.snakes) }, (_, i) => ({
+    name: `bench-${i + 1}`,
+    move: (state) => ({ move: emergencyMove(state) }),
+  }));
+  for (let seed = Number(args.seed); states.length < count; seed++) {
+    runGame({ width: size, height: size, ruleset: args.ruleset, seed, maxTurns: 500 }, players, (game) => {
+      if (states.length >= count || game.turn % 5 !== 0 || game.board.snakes.length < 2) return;
+      states.push(stateForSnake(game, game.board.snakes[0].id));
+    });
+  }
+  return states;
+}
+
+// the configured profile, searched to exactly --depth however long it takes
+function benchSettings(state) {
+  const settings = configFor(state);
+  state.game.timeout = 1e9;
+  return { ...settings, search: { ...settings.search, maxDepth: depth, safetyMarginMs: 0 } };
+}
+
+function fresh(state) {
+  forgetGrids();
+  return structuredClone(state);
+}
+
+function timed(fn) {
+  const t0 = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - t0) / 1e6;
+}
+
+function summary(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  return [mean.toFixed(2), p95.toFixed(2)];
+}
@@ -0,0 +1,282 @@
+// Strategy configuration: every weight, threshold and search cap the strategy uses, with named
+// profiles layered over the built-in defaults.
+//
+// The config file (config.json, or STRATEGY_CONFIG=<path>) looks like
+//   {
+//     "defaults": { "weights": { "food": 15 } },               optional tweaks to DEFAULTS below
+//     "profiles": { "cautious": { "weights": { "trap": -1200 } }, ... },
+//     "rulesets": { "royale": "royale" },                        ruleset name -> profile
+//     "snakes": { "bold": { "profile": "aggressive", "color": "#E03C31" } }
+//   }                                                             extra snakes served at /<name>/
+// A profile only lists what it changes. The profile for a game is the snake's own profile if it
+// names one, otherwise STRATEGY_PROFILE if set, otherwise the one mapped to its ruleset,
+// otherwise the defaults.
+// Everything is validated on load; a bad file is rejected as a whole and, on reload, the
+// previous config stays in use.
+
+import { readFileSync, existsSync, watchFile, unwatchFile } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+export const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "config.json");
+export const DEFAULT_PROFILE = "default";
+
+export const DEFAULTS = {
+  search: {
+    engine: "minimax", // "minimax": heuristics + worst-case lookahead; "mcts": Monte Carlo tree search (mcts.js)
+    maxDepth: 6, // hard cap for iterative deepening
+    maxOpponentMoves: 4, // replies searched per opponent
+    multiplayer: "paranoid", // how opponents reply in the lookahead: "paranoid", "best-reply" or "max-n"
+    defaultTimeoutMs: 500, // when the request carries no game.timeout
+    safetyMarginMs: 150, // network + serialization, kept out of the search budget
+    minSearchMs: 10,
+    transpositionEntries: 100000, // searched positions remembered per game (0: none)
+  },
+  mcts: {
+    exploration: 0.7, // UCB1 exploration constant: higher tries weaker-looking moves more often
+    rolloutTurns: 12, // turns a rollout plays before the board is scored
+    maxIterations: 50000, // hard cap besides the time budget
+  },
+  opponents: {
+    pruneProbability: 0.08, // replies a well-observed opponent almost never plays are skipped
+    minMoves: 2, // ...but at least this many replies are always searched
+    headToHeadRiskTolerance: 0.1, // stand next to a bigger head if it takes the trade less often than this
+  },
+  weights: {
+    safeSpace: 1.0,
+    survival: 1000,
+    food: 15,
+    kill: 500,
+    death: -10000,
+    suffocation: -11000, // walking into a space smaller than our body
+    voronoi: 2.0,
+    wallHug: 5,
+    tailChase: 15,
+    trap: -800,
+    choke: 300,
+    hazardSpace: 0.35, // a hazard cell is worth this fraction of a safe cell in space/territory counts
+    hazard: 60, // base cost of stepping into hazard, scaled by damage relative to remaining health
+    constrictorVoronoiMultiplier: 2, // constrictor: no food, so territory is everything
+  },
+  health: {
+    seekFoodBelow: 50, // head for the nearest food under this health
+    ignoreFoodAbove: 70, // no health bonus for food above this
+    urgencyFrom: 60, // food urgency grows from 0 here to 1 at no health
+    starving: 15, // at or below: food outweighs nearly everything
+    desperate: 20, // at or below: only the most severe traps count
+  },
+};
+
+// Limits beyond "a finite number"; `oneOf` settings are strings instead
+const LIMITS = {
+  "search.engine": { oneOf: ["minimax", "mcts"] },
+  "search.multiplayer": { oneOf: ["paranoid", "best-reply", "max-n"] },
+  "search.maxDepth": { integer: true, min: 1 },
+  "search.maxOpponentMoves": { integer: true, min: 1, max: 4 },
+  "search.defaultTimeoutMs": { min: 1 },
+  "search.safetyMarginMs": { min: 0 },
+  "search.minSearchMs": { min: 0 },
+  "search.transpositionEntries": { integer: true, min: 0 },
+  "mcts.exploration": { min: 0 },
+  "mcts.rolloutTurns": { integer: true, min: 0 },
+  "mcts.maxIterations": { integer: true, min: 1 },
+  "opponents.pruneProbability": { min: 0, max: 1 },
+  "opponents.minMoves": { integer: true, min: 1, max: 4 },
+  "opponents.headToHeadRiskTolerance": { min: 0, max: 1 },
+  "weights.death": { max: 0 },
+  "weights.suffocation": { max: 0 },
+  "weights.trap": { max: 0 },
+  "weights.hazardSpace": { min: 0, max: 1 },
+  "health.seekFoodBelow": { min: 0, max: 100 },
+  "health.ignoreFoodAbove": { min: 0, max: 100 },
+  "health.urgencyFrom": { min: 1, max: 100 },
+  "health.starving": { min: 0, max: 100 },
+  "health.desperate": { min: 0, max: 100 },
+};
+
+// What a snake under "snakes" may set besides its profile; see info() in snake.js
+const APPEARANCE = ["color", "head", "tail"];
+// Snake names become path prefixes, so they can't shadow the server's own routes
+const SNAKE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const RESERVED_SNAKE_NAMES = ["start", "move", "end", "metrics", "debug"];
+
+let configPath = process.env.STRATEGY_CONFIG || DEFAULT_CONFIG_PATH;
+let current = existsSync(configPath) ? loadConfigFile(configPath) : resolveConfig({}); // a broken file fails startup
+
+/* -------------------- Loading -------------------- */
+
+// Validate a parsed config file and resolve every profile to a complete, frozen settings
+// object. Throws one Error listing every problem found.
+export function resolveConfig(raw) {
+  const problems = [];
+  if (!isPlainObject(raw)) throw new Error("config: expected a JSON object");
+  for (const key of Object.keys(raw)) {
+    if (!["defaults", "profiles", "rulesets", "snakes"].includes(key)) problems.push(`unknown top-level key "${key}"`);
+  }
+
+  const base = merge(DEFAULTS, raw.defaults ?? {}, "defaults", problems);
+  const profiles = { [DEFAULT_PROFILE]: base };
+  if (raw.profiles !== undefined && !isPlainObject(raw.profiles)) problems.push("profiles: expected an object");
+  for (const [name, overrides] of Object.entries(isPlainObject(raw.profiles) ? raw.profiles : {})) {
+    if (name === DEFAULT_PROFILE) problems.push(`profiles: "${DEFAULT_PROFILE}" is reserved; use "defaults"`);
+    else profiles[name] = merge(base, overrides, `profiles.${name}`, problems);
+  }
+
+  const rulesets = {};
+  if (raw.rulesets !== undefined && !isPlainObject(raw.rulesets)) problems.push("rulesets: expected an object");
+  for (const [ruleset, profile] of Object.entries(isPlainObject(raw.rulesets) ? raw.rulesets : {})) {
+    if (!profiles[profile]) problems.push(`rulesets.${ruleset}: unknown profile "${profile}"`);
+    else rulesets[ruleset] = profile;
+  }
+  const forced = process.env.STRATEGY_PROFILE;
+  if (forced && !profiles[forced]) problems.push(`STRATEGY_PROFILE: unknown profile "${forced}"`);
+
+  const snakes = {};
+  if (raw.snakes !== undefined && !isPlainObject(raw.snakes)) problems.push("snakes: expected an object");
+  for (const [name, snake] of Object.entries(isPlainObject(raw.snakes) ? raw.snakes : {})) {
+    const where = `snakes.${name}`;
+    if (!SNAKE_NAME.test(name)) problems.push(`${where}: name must be letters, digits, "-" or "_"`);
+    else if (RESERVED_SNAKE_NAMES.includes(name.toLowerCase())) problems.push(`${where}: "${name}" is reserved`);
+    if (!isPlainObject(snake)) {
+      problems.push(`${where}: expected an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(snake)) {
+      if (key === "profile") {
+        if (!profiles[value]) problems.push(`${where}.profile: unknown profile "${value}"`);
+      } else if (!APPEARANCE.includes(key)) {
+        problems.push(`${where}: unknown setting "${key}"`);
+      } else if (typeof value !== "string") {
+        problems.push(`${where}.${key}: expected a string`);
+      } else if (key === "color" && !/^#[0-9a-f]{6}$/i.test(value)) {
+        problems.push(`${where}.color: expected a hex color like "#FF6B35"`);
+      }
+    }
+    snakes[name] = { ...snake };
+  }
+
+  if (problems.length) throw new Error(`config: ${problems.join("; ")}`);
+  for (const p of Object.values(profiles)) deepFreeze(p);
+  return { profiles, rulesets, snakes: deepFreeze(snakes) };
+}
+
+export function loadConfigFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`config: can't read ${file}: ${e.message}`);
+  }
+  return resolveConfig(raw);
+}
+
+// (Re)read the config file. On failure the current config stays and the error is thrown.
+// No file at all means built-in defaults only.
+export function reloadConfig(file = configPath) {
+  configPath = file;
+  current = existsSync(file) ? loadConfigFile(file) : resolveConfig({});
+  return current;
+}
+
+// Use an already-parsed config (self-play, tuning, tests) instead of the file
+export function setConfig(raw) {
+  current = resolveConfig(raw);
+  return current;
+}
+
+// Reload whenever the file changes; a broken edit is logged and ignored
+export function watchConfig(onReload = () => {}) {
+  watchFile(configPath, { persistent: false, interval: 1000 }, () => {
+    try {
+      onReload(reloadConfig(configPath));
+    } catch (e) {
+      logger.error("config reload failed", { path: configPath, error: e.message });
+    }
+  });
+  return () => unwatchFile(configPath);
+}
+
+/* -------------------- Profile selection -------------------- */
+
+// `snake` is the name of one of the extra snakes, for requests served under its prefix
+export function profileName(gameState, snake) {
+  const own = current.snakes[snake]?.profile;
+  if (own) return own;
+  const forced = process.env.STRATEGY_PROFILE;
+  if (forced && current.profiles[forced]) return forced;
+  return current.rulesets[gameState?.game?.ruleset?.name] ?? DEFAULT_PROFILE;
+}
+
+// Complete settings for this game: { search, mcts, opponents, weights, health }
+export function configFor(gameState, snake) {
+  return current.profiles[profileName(gameState, snake)];
+}
+
+// A profile's complete settings by name (undefined for an unknown one)
+export function profileSettings(name) {
+  return current.profiles[name];
+}
+
+export function profileNames() {
+  return Object.keys(current.profiles);
+}
+
+/* -------------------- Extra snakes -------------------- */
+
+export function snakeNames() {
+  return Object.keys(current.snakes);
+}
+
+// { color, head, tail }, whichever the snake sets; empty once the snake is gone from the config
+export function snakeAppearance(snake) {
+  const { profile: _, ...appearance } = current.snakes[snake] ?? {};
+  return appearance;
+}
+
+/* -------------------- Helpers -------------------- */
+
+function merge(base, overrides, where, problems) {
+  if (!isPlainObject(overrides)) {
+    problems.push(`${where}: expected an object`);
+    return structuredClone(base);
+  }
+  const out = structuredClone(base);
+  for (const [section, values] of Object.entries(overrides)) {
+    if (!(section in DEFAULTS)) {
+      problems.push(`${where}: unknown section "${section}"`);
+      continue;
+    }
+    if (!isPlainObject(values)) {
+      problems.push(`${where}.${section}: expected an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      const problem = checkValue(`${section}.${key}`, value);
+      if (problem) problems.push(`${where}.${section}.${key}: ${problem}`);
+      else out[section][key] = value;
+    }
+  }
+  return out;
+}
+
+function checkValue(name, value) {
+  const [section, key] = name.split(".");
+  if (!(key in DEFAULTS[section])) return "unknown setting";
+  const limit = LIMITS[name] ?? {};
+  if (limit.oneOf) return limit.oneOf.includes(value) ? null : `expected one of ${limit.oneOf.map((v) => `"${v}"`).join(", ")}`;
+  if (typeof value !== "number" || !Number.isFinite(value)) return "expected a number";
+  if (limit.integer && !Number.isInteger(value)) return "expected a whole number";
+  if (limit.min !== undefined && value < limit.min) return `must be at least ${limit.min}`;
+  if (limit.max !== undefined && value > limit.max) return `must be at most ${limit.max}`;
+  return null;
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+function deepFreeze(obj) {
+  for (const v of Object.values(obj)) if (isPlainObject(v)) deepFreeze(v);
+  return Object.freeze(obj);
+}
@@ -0,0 +1,43 @@
+// Last-resort move, sent when the strategy throws (or answers nonsense) on a valid /move
+// request: answering with something sensible beats answering nothing, which the engine
+// treats as repeating our last move. No search and nothing shared with the strategy, so
+// whatever broke there can't break this too; only the board topology is reused.
+
+import { getTopology } from './topology.js';
+import { DIRECTIONS } from './rules.js';
+
+export function emergencyMove(state) {
+  try {
+    const topo = getTopology(state);
+    const me = state.you;
+    const key = (p) => `${p.x},${p.y}`;
+
+    // bodies stay put, except tails that will move on (not a snake that just ate)
+    const blocked = new Set();
+    for (const snake of state.board.snakes) {
+      const body = snake.body;
+      const tail = body[body.length - 1], beforeTail = body[body.length - 2];
+      const tailStays = !beforeTail || (tail.x === beforeTail.x && tail.y === beforeTail.y);
+      (tailStays ? body : body.slice(0, -1)).forEach((p) => blocked.add(key(p)));
+    }
+    // cells a snake at least our size could also move into
+    const contested = new Set();
+    for (const snake of state.board.snakes) {
+      if (snake.id === me.id || snake.body.length < me.body.length) continue;
+      for (const dir of Object.values(DIRECTIONS)) contested.add(key(topo.step(snake.head, dir)));
+    }
+
+    const open = (p) => topo.inBounds(p) && !blocked.has(key(p));
+    let best = null, bestScore = -Infinity;
+    for (const [name, dir] of Object.entries(DIRECTIONS)) {
+      const next = topo.step(me.head, dir);
+      if (!open(next)) continue;
+      const exits = Object.values(DIRECTIONS).filter((d) => open(topo.step(next, d))).length;
+      const score = exits - (contested.has(key(next)) ? 4 : 0);
+      if (score > bestScore) [best, bestScore] = [name, score];
+    }
+    return best ?? "up";
+  } catch {
+    return "up";
+  }
+}
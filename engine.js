@@ -0,0 +1,300 @@
+// Offline game engine: plays complete games between move functions without any server.
+// Snakes see exactly what they would over HTTP (same game state shape, one `you` per snake),
+// so any strategy module exporting move() - and optionally start()/end() - can play.
+
+import { stepTurn, isConstrictorRuleset, DIRECTIONS, MAX_HEALTH } from './rules.js';
+
+const START_LENGTH = 3;
+
+// Defaults match the official engine's standard settings
+export const DEFAULT_SETTINGS = {
+  foodSpawnChance: 15,
+  minimumFood: 1,
+  hazardDamagePerTurn: 14,
+  royale: { shrinkEveryNTurns: 25 },
+};
+
+/* -------------------- Seeded randomness -------------------- */
+
+// mulberry32: tiny, fast and good enough for food placement
+export function createRng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (n) => Math.floor(next() * n),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    shuffle: (list) => {
+      for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+      }
+      return list;
+    },
+  };
+}
+
+/* -------------------- Game setup -------------------- */
+
+// players: [{ name, move, start?, end? }]
+export function createGame(options, players) {
+  const {
+    width = 11,
+    height = 11,
+    ruleset = "standard",
+    timeout = 500,
+    seed = Date.now(),
+    id = `offline-${seed}`,
+  } = options;
+  const settings = { ...DEFAULT_SETTINGS, ...(options.settings || {}) };
+  const rng = createRng(seed);
+
+  const game = {
+    id,
+    ruleset: { name: ruleset, version: "offline", settings },
+    map: "standard",
+    timeout,
+    source: "offline",
+  };
+
+  const starts = startPositions(width, height, players.length, rng);
+  const snakes = players.map((player, i) => ({
+    id: `snake-${i + 1}`,
+    name: player.name ?? `snake-${i + 1}`,
+    health: MAX_HEALTH,
+    body: Array.from({ length: START_LENGTH }, () => ({ ...starts[i] })),
+    head: { ...starts[i] },
+    length: START_LENGTH,
+    latency: "0",
+    shout: "",
+  }));
+
+  const board = { width, height, food: [], hazards: [], snakes };
+  if (!isConstrictorRuleset({ game })) placeInitialFood(board, rng);
+
+  return {
+    game,
+    turn: 0,
+    board,
+    rng,
+    players,
+    eliminated: [], // [{ id, name, turn, cause, by }]
+    lastMoves: new Map(),
+  };
+}
+
+function startPositions(width, height, count, rng) {
+  // the official fixed spawn points (corners first, then edge midpoints) on normal boards;
+  // anywhere free on tiny or crowded ones
+  const lo = 1, midX = (width - 1) >> 1, midY = (height - 1) >> 1;
+  const hiX = width - 2, hiY = height - 2;
+  const corners = rng.shuffle([{ x: lo, y: lo }, { x: lo, y: hiY }, { x: hiX, y: lo }, { x: hiX, y: hiY }]);
+  const edges = rng.shuffle([{ x: lo, y: midY }, { x: midX, y: lo }, { x: hiX, y: midY }, { x: midX, y: hiY }]);
+  const fixed = width >= 7 && height >= 7 ? [...corners, ...edges] : [];
+
+  const positions = fixed.slice(0, count);
+  while (positions.length < count) {
+    const p = { x: rng.int(width), y: rng.int(height) };
+    if (!positions.some((q) => q.x === p.x && q.y === p.y)) positions.push(p);
+  }
+  return positions;
+}
+
+function placeInitialFood(board, rng) {
+  // one food diagonal to each snake, plus one in the centre
+  for (const s of board.snakes) {
+    const options = [[-1, -1], [-1, 1], [1, -1], [1, 1]]
+      .map(([dx, dy]) => ({ x: s.head.x + dx, y: s.head.y + dy }))
+      .filter((p) => p.x >= 0 && p.y >= 0 && p.x < board.width && p.y < board.height)
+      .filter((p) => isCellEmpty(board, p));
+    if (options.length) board.food.push(rng.pick(options));
+  }
+  const centre = { x: (board.width - 1) >> 1, y: (board.height - 1) >> 1 };
+  if (isCellEmpty(board, centre)) board.food.push(centre);
+}
+
+/* -------------------- Turn processing -------------------- */
+
+// Build the request a given snake would receive this turn
+export function stateForSnake(game, snakeId) {
+  const snapshot = {
+    game: JSON.parse(JSON.stringify(game.game)),
+    turn: game.turn,
+    board: JSON.parse(JSON.stringify(game.board)),
+  };
+  snapshot.you = snapshot.board.snakes.find((s) => s.id === snakeId);
+  return snapshot;
+}
+
+// Ask every live snake for a move (a throwing or invalid snake keeps going straight,
+// like a timed-out snake does on the official engine), then advance the board one turn
+export function playTurn(game) {
+  const chosen = new Map();
+  game.board.snakes.forEach((snake) => {
+    const player = game.players[playerIndex(snake.id)];
+    const startedAt = Date.now();
+    let moveName;
+    try {
+      moveName = player.move(stateForSnake(game, snake.id))?.move;
+    } catch (e) {
+      moveName = undefined;
+    }
+    snake.latency = String(Date.now() - startedAt);
+    if (!DIRECTIONS[moveName]) moveName = game.lastMoves.get(snake.id) ?? "up";
+    chosen.set(snake.id, moveName);
+    game.lastMoves.set(snake.id, moveName);
+  });
+
+  stepBoard(game, chosen);
+  game.turn++;
+  return chosen;
+}
+
+// Apply one turn of the ruleset to game.board (see rules.js), then do the engine's part:
+// spawn food and shrink the royale zone for next turn
+export function stepBoard(game, chosen) {
+  const { board, rng } = game;
+  const settings = game.game.ruleset.settings;
+
+  const eliminated = stepTurn({ game: game.game, turn: game.turn, board }, chosen);
+  for (const { snake, cause, by } of eliminated) {
+    game.eliminated.push({ id: snake.id, name: snake.name, turn: game.turn + 1, cause, by, length: snake.body.length });
+  }
+
+  if (!isConstrictorRuleset(game)) spawnFood(board, settings, rng);
+  if (game.game.ruleset.name === "royale") shrinkRoyale(game, settings);
+}
+
+function spawnFood(board, settings, rng) {
+  const free = emptyCells(board);
+  if (free.length === 0) return;
+  if (board.food.length < settings.minimumFood) {
+    rng.shuffle(free);
+    board.food.push(...free.slice(0, settings.minimumFood - board.food.length));
+  } else if (settings.foodSpawnChance > 0 && rng.int(100) < settings.foodSpawnChance) {
+    board.food.push(rng.pick(free));
+  }
+}
+
+function shrinkRoyale(game, settings) {
+  // every N turns the hazard grows inwards by one row or column from a random side
+  const every = settings.royale?.shrinkEveryNTurns ?? DEFAULT_SETTINGS.royale.shrinkEveryNTurns;
+  const turn = game.turn + 1;
+  if (every <= 0 || turn % every !== 0) return;
+
+  const { board, rng } = game;
+  game.royaleBounds ??= { minX: 0, maxX: board.width - 1, minY: 0, maxY: board.height - 1 };
+  const b = game.royaleBounds;
+  if (b.minX > b.maxX || b.minY > b.maxY) return;
+  switch (rng.int(4)) {
+    case 0: b.minX++; break;
+    case 1: b.maxX--; break;
+    case 2: b.minY++; break;
+    default: b.maxY--; break;
+  }
+  board.hazards = [];
+  for (let x = 0; x < board.width; x++) {
+    for (let y = 0; y < board.height; y++) {
+      if (x < b.minX || x > b.maxX || y < b.minY || y > b.maxY) board.hazards.push({ x, y });
+    }
+  }
+}
+
+/* -------------------- Whole games -------------------- */
+
+export function isGameOver(game) {
+  const alive = game.board.snakes.length;
+  return game.players.length === 1 ? alive === 0 : alive <= 1;
+}
+
+// Play one game to the end; returns a summary (winner is null for draws and solo games)
+export function runGame(options, players, onTurn) {
+  const game = createGame(options, players);
+  const maxTurns = options.maxTurns ?? 1000;
+
+  for (const snake of game.board.snakes) {
+    callHandler(players[playerIndex(snake.id)].start, stateForSnake(game, snake.id));
+  }
+
+  while (!isGameOver(game) && game.turn < maxTurns) {
+    const chosen = playTurn(game);
+    if (onTurn) onTurn(game, chosen);
+  }
+
+  const everyone = [
+    ...game.board.snakes.map((s) => ({ id: s.id, name: s.name, length: s.body.length, turn: game.turn, cause: null })),
+    ...game.eliminated,
+  ];
+  for (const entry of everyone) {
+    const player = players[playerIndex(entry.id)];
+    // /end carries the final board; eliminated snakes get it too on the official engine
+    callHandler(player.end, { ...stateForSnake(game, entry.id), you: { id: entry.id, name: entry.name } });
+  }
+
+  const survivors = game.board.snakes;
+  return {
+    id: game.game.id,
+    seed: options.seed,
+    ruleset: game.game.ruleset.name,
+    turns: game.turn,
+    winner: players.length > 1 && survivors.length === 1 ? survivors[0].name : null,
+    winnerIndex: players.length > 1 && survivors.length === 1 ? playerIndex(survivors[0].id) : null,
+    snakes: everyone.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true })),
+  };
+}
+
+function callHandler(handler, state) {
+  if (typeof handler !== "function") return;
+  try {
+    handler(state);
+  } catch (e) {
+    // start/end failures don't change the game
+  }
+}
+
+/* -------------------- Board helpers -------------------- */
+
+// snake ids are "snake-<n>", n counting players from 1
+function playerIndex(snakeId) {
+  return Number(snakeId.split("-")[1]) - 1;
+}
+
+function isCellEmpty(board, p) {
+  if (board.food.some((f) => f.x === p.x && f.y === p.y)) return false;
+  return !board.snakes.some((s) => s.body.some((b) => b.x === p.x && b.y === p.y));
+}
+
+function emptyCells(board) {
+  const cells = [];
+  for (let x = 0; x < board.width; x++) {
+    for (let y = 0; y < board.height; y++) {
+      if (isCellEmpty(board, { x, y })) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/* -------------------- Rendering -------------------- */
+
+export function renderBoard(game) {
+  const { board } = game;
+  const grid = Array.from({ length: board.height }, () => Array(board.width).fill("."));
+  for (const h of board.hazards) grid[h.y][h.x] = "~";
+  for (const f of board.food) grid[f.y][f.x] = "*";
+  board.snakes.forEach((s) => {
+    const mark = s.id.split("-")[1].slice(-1);
+    s.body.forEach((b, i) => {
+      if (b.y >= 0 && b.y < board.height && b.x >= 0 && b.x < board.width) {
+        grid[b.y][b.x] = i === 0 ? "H" : mark;
+      }
+    });
+  });
+  // y grows upwards in Battlesnake, so print the top row first
+  return grid.reverse().map((row) => row.join(" ")).join("\n");
+}
@@ -0,0 +1,204 @@
+// Typed-array view of a board for the analysis hot paths (flood fills, regions, Voronoi,
+// collision checks). Cells are numbered y * width + x; per-cell facts live in typed arrays
+// instead of Sets of "x,y" strings, and the BFS helpers use a preallocated ring-buffer queue.
+//
+// gridFor(board, state) builds the grid once per board and caches it. The search copies a
+// board (cloneState) before moving anything on it, but a board can still change after its
+// grid is built (the same object reused for the next turn), so every lookup checks a cheap
+// fingerprint of the board - the heads, lengths and item counts - and rebuilds on a mismatch.
+//
+// Grids are also shared between board objects with identical contents (the same position
+// reached by different lookahead branches, or asked about again by another request this
+// turn), through a bounded cache keyed by the whole board. Each grid carries a `memo` object
+// where the analysis in snake.js keeps what it has worked out about that position, so every
+// distinct question about a board is answered once.
+
+import { getTopology } from './topology.js';
+import { isConstrictorRuleset, hazardDamage } from './rules.js';
+
+// same order as the strategy's moves: up, down, left, right; BFS order (and so tie-breaks
+// and float sums) depends on it
+const STEPS = [
+  { dx: 0, dy: 1 },
+  { dx: 0, dy: -1 },
+  { dx: -1, dy: 0 },
+  { dx: 1, dy: 0 },
+];
+
+const NO_SNAKE = -1;
+const grids = new WeakMap(); // board -> grid
+const MAX_SHARED_GRIDS = 1024;
+const shared = new Map(); // boardKey() -> grid, least recently used first
+const neighborTables = new Map(); // "bounded:11x11" -> Int32Array
+
+export function gridFor(board, state) {
+  const fingerprint = fingerprintOf(board);
+  let grid = grids.get(board);
+  if (!grid || grid.fingerprint !== fingerprint) {
+    grid = sharedGrid(board, state, fingerprint);
+    grids.set(board, grid);
+  }
+  return grid;
+}
+
+function sharedGrid(board, state, fingerprint) {
+  const key = boardKey(board, state);
+  let grid = shared.get(key);
+  if (grid) {
+    shared.delete(key);
+  } else {
+    grid = buildGrid(board, state, fingerprint);
+    if (shared.size >= MAX_SHARED_GRIDS) shared.delete(shared.keys().next().value);
+  }
+  shared.set(key, grid);
+  return grid;
+}
+
+// Drop the shared grids, so the next question about any board starts from scratch
+// (benchmarks time cold moves with it); grids already handed out stay valid
+export function forgetGrids() {
+  shared.clear();
+}
+
+// Everything a grid depends on: the ruleset, the items and every body segment in order
+function boardKey(board, state) {
+  const { width, height } = board;
+  const cells = (points) => {
+    let list = "";
+    for (const p of points) {
+      const inside = p.x >= 0 && p.y >= 0 && p.x < width && p.y < height;
+      list += inside ? `${p.y * width + p.x} ` : `${p.x},${p.y} `;
+    }
+    return list;
+  };
+  let key = `${state.game?.ruleset?.name}:${hazardDamage(state)}:${width}x${height}`;
+  key += `|${cells(board.food)}|${cells(board.hazards || [])}`;
+  for (const s of board.snakes) key += `|${cells(s.body)}`;
+  return key;
+}
+
+function fingerprintOf(board) {
+  let key = `${board.food.length}/${board.hazards?.length ?? 0}`;
+  for (const s of board.snakes) key += `/${s.head.x},${s.head.y},${s.body.length}`;
+  return key;
+}
+
+function buildGrid(board, state, fingerprint) {
+  const topo = getTopology(state);
+  const { width, height } = board;
+  const size = width * height;
+  const index = (p) => p.y * width + p.x;
+  const constrictor = isConstrictorRuleset(state);
+
+  // body[i]: any segment; blocked[i]: still there next turn (tails move unless the snake
+  // grows); snakeAt[i]: which snake (index into board.snakes) blocks it, first one listed wins
+  const body = new Uint8Array(size);
+  const blocked = new Uint8Array(size);
+  const snakeAt = new Int16Array(size).fill(NO_SNAKE);
+  const food = new Uint8Array(size);
+  const hazardStacks = new Uint8Array(size);
+
+  for (const f of board.food) if (topo.inBounds(f)) food[index(f)] = 1;
+  for (const h of board.hazards || []) if (topo.inBounds(h)) hazardStacks[index(h)]++;
+
+  board.snakes.forEach((s, si) => {
+    const grows = constrictor || (topo.inBounds(s.head) && food[index(s.head)] === 1);
+    for (let i = 0; i < s.body.length; i++) {
+      const p = s.body[i];
+      if (!topo.inBounds(p)) continue;
+      const c = index(p);
+      body[c] = 1;
+      if (i === s.body.length - 1 && !grows) continue; // tail will move
+      blocked[c] = 1;
+      if (snakeAt[c] === NO_SNAKE) snakeAt[c] = si;
+    }
+  });
+
+  return {
+    fingerprint,
+    width,
+    height,
+    size,
+    topo,
+    index,
+    point: (c) => ({ x: c % width, y: Math.floor(c / width) }),
+    inBounds: (p) => topo.inBounds(p),
+    neighbors: neighborTable(topo, width, height),
+    body,
+    blocked,
+    snakeAt,
+    food,
+    hazardStacks,
+    hasHazards: hazardDamage(state) > 0 && board.hazards?.length > 0,
+    memo: {},
+  };
+}
+
+// neighbors[c * 4 + k]: the cell reached from c by STEPS[k], or -1 off the board
+function neighborTable(topo, width, height) {
+  const key = `${topo.wrapped ? "wrapped" : "bounded"}:${width}x${height}`;
+  let table = neighborTables.get(key);
+  if (!table) {
+    table = new Int32Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        STEPS.forEach((step, k) => {
+          const n = topo.step({ x, y }, step);
+          table[(y * width + x) * 4 + k] = topo.inBounds(n) ? n.y * width + n.x : -1;
+        });
+      }
+    }
+    neighborTables.set(key, table);
+  }
+  return table;
+}
+
+/* -------------------- Scratch space -------------------- */
+
+// One set of scratch arrays per board size, reused by every BFS: `seen` marks cells with the
+// current `stamp`, so clearing it is one increment. The searches here never nest.
+const scratch = new Map();
+
+export function scratchFor(grid) {
+  let s = scratch.get(grid.size);
+  if (!s) {
+    s = { seen: new Uint32Array(grid.size), stamp: 0, queue: createQueue(grid.size) };
+    scratch.set(grid.size, s);
+  }
+  if (++s.stamp === 0xffffffff) {
+    s.seen.fill(0);
+    s.stamp = 1;
+  }
+  s.queue.clear();
+  return s;
+}
+
+// FIFO ring buffer of ints that doubles when full
+export function createQueue(capacity) {
+  let items = new Int32Array(Math.max(4, capacity));
+  let head = 0, length = 0;
+  return {
+    get length() {
+      return length;
+    },
+    push(v) {
+      if (length === items.length) {
+        const bigger = new Int32Array(items.length * 2);
+        for (let i = 0; i < length; i++) bigger[i] = items[(head + i) % items.length];
+        items = bigger;
+        head = 0;
+      }
+      items[(head + length++) % items.length] = v;
+    },
+    shift() {
+      const v = items[head];
+      head = (head + 1) % items.length;
+      length--;
+      return v;
+    },
+    clear() {
+      head = 0;
+      length = 0;
+    },
+  };
+}
@@ -0,0 +1,88 @@
+// Leveled logging with per-game context.
+//   LOG_LEVEL=debug|info|warn|error|silent   (default info; the per-move score dumps are debug)
+//   LOG_FORMAT=json                          one JSON object per line instead of key=value text
+// gameLogger(gameState) attaches game id, turn, snake id and ruleset to every line, so logs
+// from concurrent games can be told apart.
+// Lines go through console.log (debug/info) and console.error (warn/error). The offline tools
+// quiet the strategy with setLogLevel("silent").
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = "info";
+
+let threshold = LEVELS[DEFAULT_LEVEL];
+let json = false;
+configureFromEnv();
+
+export function setLogLevel(level) {
+  if (!(level in LEVELS)) throw new Error(`unknown log level "${level}"; use one of ${Object.keys(LEVELS).join(", ")}`);
+  threshold = LEVELS[level];
+}
+
+export function setLogFormat(format) {
+  json = format === "json";
+}
+
+function configureFromEnv() {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  if (level && level in LEVELS) threshold = LEVELS[level];
+  setLogFormat(process.env.LOG_FORMAT?.toLowerCase());
+  if (level && !(level in LEVELS)) {
+    write("warn", { msg: `unknown LOG_LEVEL "${process.env.LOG_LEVEL}", using ${DEFAULT_LEVEL}` });
+  }
+}
+
+/* -------------------- Loggers -------------------- */
+
+function createLogger(context) {
+  const at = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+    write(level, { msg, ...context, ...fields });
+  };
+  return {
+    debug: at("debug"),
+    info: at("info"),
+    warn: at("warn"),
+    error: at("error"),
+    // check before building an expensive line
+    isEnabled: (level) => LEVELS[level] >= threshold,
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+export const logger = createLogger({});
+
+export function gameLogger(gameState) {
+  return logger.child(gameContext(gameState));
+}
+
+export function gameContext(gameState) {
+  return {
+    game: gameState?.game?.id,
+    turn: gameState?.turn,
+    snake: gameState?.you?.id,
+    ruleset: gameState?.game?.ruleset?.name,
+  };
+}
+
+/* -------------------- Output -------------------- */
+
+function write(level, { msg, ...fields }) {
+  const time = new Date().toISOString();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) delete fields[k];
+    else if (v instanceof Error) fields[k] = { message: v.message, stack: v.stack };
+  }
+
+  const line = json
+    ? JSON.stringify({ time, level, msg, ...fields })
+    : `${time} ${level.toUpperCase().padEnd(5)} ${msg}${Object.entries(fields).map(([k, v]) => ` ${k}=${textValue(v)}`).join("")}`;
+
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+function textValue(v) {
+  if (typeof v === "string") return /[\s"=]/.test(v) || v === "" ? JSON.stringify(v) : v;
+  if (v && typeof v === "object" && "stack" in v && "message" in v) return JSON.stringify(v.stack);
+  return JSON.stringify(v);
+}
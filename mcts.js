@@ -0,0 +1,195 @@
+// Monte Carlo tree search, the alternative to the heuristic sum + worst-case lookahead
+// (search.engine: "mcts" in a profile; see config.js).
+// Snakes move simultaneously, so the tree is decoupled UCT: each node keeps separate
+// statistics per snake for that snake's own moves, every snake picks its move by UCB1 over
+// them, and the joint move leads to the child. One new node is added per iteration; from
+// there a rollout plays on with the official rules (rules.js) under a cheap random policy
+// for a few turns and scores what's left:
+//   - a dead snake scores 0, the last snake standing 1
+//   - a snake still alive when the rollout stops scores ALIVE, plus the rest in proportion
+//     to its share of the board (the caller's `evaluate`)
+// The rollout policy only avoids walls, bodies and cells a head at least as long can reach.
+
+import { cloneState, stepTurn, facing, isConstrictorRuleset, DIRECTIONS } from './rules.js';
+import { getTopology } from './topology.js';
+import { createRng } from './engine.js';
+
+const MOVE_NAMES = Object.keys(DIRECTIONS);
+const ALIVE = 0.4; // what surviving the rollout is worth before territory
+const SLICE_MS = 20; // how often the search reports its standings
+
+// Searches until `deadline` or settings.maxIterations, yielding the standings every slice
+// and once more at the end:
+//   { moves: [{ move, visits, reward }] (most visited first), iterations, depth }
+// `ourMoves` are the move names we're choosing between; `evaluate(state)` maps each living
+// snake's id to its share (0-1) of the board. `now` is the clock `deadline` is read against.
+export function* treeSearch(state, ourMoves, { deadline, settings, evaluate, now = Date.now }) {
+  const search = {
+    rng: createRng(seedFor(state)),
+    exploration: settings.exploration,
+    rolloutTurns: settings.rolloutTurns,
+    multiplayer: state.board.snakes.length > 1,
+    myId: state.you.id,
+    evaluate,
+    blocked: new Uint8Array(state.board.width * state.board.height), // scratch for blockedCells()
+  };
+  const root = createNode(cloneState(state), search, ourMoves);
+  let iterations = 0, depth = 0;
+  let sliceEnds = now() + SLICE_MS;
+  while (iterations < settings.maxIterations && now() < deadline) {
+    depth = Math.max(depth, iterate(root, search));
+    iterations++;
+    if (now() >= sliceEnds) {
+      yield standings(root, search, iterations, depth);
+      sliceEnds = now() + SLICE_MS;
+    }
+  }
+  yield standings(root, search, iterations, depth);
+}
+
+/* -------------------- Tree -------------------- */
+
+// players: per snake, its moves here with their visit counts and summed rewards
+function createNode(state, search, ourMoves = null) {
+  const blocked = blockedCells(state, search.blocked);
+  const topo = getTopology(state);
+  const players = state.board.snakes.map((s) => {
+    const options = s.id === search.myId && ourMoves ? ourMoves : openMoves(s, state.board, blocked, topo);
+    const moves = options.length ? options : [facing(s)];
+    return { id: s.id, moves, visits: new Float64Array(moves.length), reward: new Float64Array(moves.length) };
+  });
+  return { state, players, visits: 0, children: new Map(), terminal: isOver(state, search) };
+}
+
+// Select down to a new node (or a finished game), roll out from it and back the result up
+// the path; returns how deep the path went
+function iterate(root, search) {
+  const path = [];
+  let node = root;
+  while (!node.terminal) {
+    const joint = node.players.map((p) => selectMove(p, node.visits, search.exploration));
+    path.push({ node, joint });
+    const key = joint.reduce((k, i) => k * 4 + i, 0);
+    const child = node.children.get(key);
+    if (!child) {
+      const next = cloneState(node.state);
+      stepTurn(next, new Map(node.players.map((p, i) => [p.id, p.moves[joint[i]]])));
+      const leaf = createNode(next, search);
+      node.children.set(key, leaf);
+      node = leaf;
+      break;
+    }
+    node = child;
+  }
+
+  const rewards = node.terminal ? (node.result ??= score(node.state, search)) : rollout(node.state, search);
+  for (const { node: n, joint } of path) {
+    n.visits++;
+    n.players.forEach((p, i) => {
+      p.visits[joint[i]]++;
+      p.reward[joint[i]] += rewards.get(p.id) ?? 0;
+    });
+  }
+  return path.length;
+}
+
+// UCB1: every move once, then the best average reward plus an exploration bonus
+function selectMove(player, total, exploration) {
+  let best = 0, bestValue = -Infinity;
+  for (let i = 0; i < player.moves.length; i++) {
+    const n = player.visits[i];
+    if (!n) return i;
+    const value = player.reward[i] / n + exploration * Math.sqrt(Math.log(total) / n);
+    if (value > bestValue) {
+      best = i;
+      bestValue = value;
+    }
+  }
+  return best;
+}
+
+function standings(root, search, iterations, depth) {
+  const ours = root.players.find((p) => p.id === search.myId);
+  const moves = ours.moves.map((move, i) => ({
+    move,
+    visits: ours.visits[i],
+    reward: ours.visits[i] ? ours.reward[i] / ours.visits[i] : 0,
+  }));
+  moves.sort((a, b) => b.visits - a.visits || b.reward - a.reward);
+  return { moves, iterations, depth };
+}
+
+/* -------------------- Rollouts -------------------- */
+
+function rollout(from, search) {
+  const state = cloneState(from);
+  const topo = getTopology(state);
+  for (let t = 0; t < search.rolloutTurns && !isOver(state, search); t++) {
+    const blocked = blockedCells(state, search.blocked);
+    const chosen = new Map();
+    for (const s of state.board.snakes) chosen.set(s.id, rolloutMove(s, state.board, blocked, topo, search.rng));
+    stepTurn(state, chosen);
+  }
+  return score(state, search);
+}
+
+// A random open move, away from heads that would win a collision when there's a choice
+function rolloutMove(snake, board, blocked, topo, rng) {
+  const open = openMoves(snake, board, blocked, topo);
+  if (!open.length) return facing(snake);
+  const calm = open.filter((name) => {
+    const p = topo.step(snake.head, DIRECTIONS[name]);
+    return !board.snakes.some((o) => o !== snake && o.body.length >= snake.body.length && topo.distance(o.head, p) === 1);
+  });
+  return rng.pick(calm.length ? calm : open);
+}
+
+// snake id -> reward, for every snake that was in the game
+function score(state, search) {
+  const alive = state.board.snakes;
+  const rewards = new Map();
+  if (search.multiplayer && alive.length === 1) {
+    rewards.set(alive[0].id, 1);
+    return rewards;
+  }
+  const shares = alive.length ? search.evaluate(state) : new Map();
+  for (const s of alive) rewards.set(s.id, ALIVE + (1 - ALIVE) * (shares.get(s.id) ?? 0));
+  return rewards;
+}
+
+function isOver(state, search) {
+  const alive = state.board.snakes;
+  return !alive.some((s) => s.id === search.myId) || (search.multiplayer && alive.length <= 1);
+}
+
+/* -------------------- Board helpers -------------------- */
+
+// 1 for every cell a body still covers after the coming move: tails move on, unless the
+// snake just ate (its tail is doubled up) or nothing ever shrinks (constrictor)
+function blockedCells(state, blocked) {
+  const { width, snakes } = state.board;
+  blocked.fill(0);
+  const constrictor = isConstrictorRuleset(state);
+  for (const s of snakes) {
+    const n = s.body.length;
+    const tail = s.body[n - 1], beforeTail = s.body[n - 2];
+    const keepsTail = constrictor || !beforeTail || (tail.x === beforeTail.x && tail.y === beforeTail.y);
+    for (let i = 0; i < (keepsTail ? n : n - 1); i++) blocked[s.body[i].y * width + s.body[i].x] = 1;
+  }
+  return blocked;
+}
+
+function openMoves(snake, board, blocked, topo) {
+  return MOVE_NAMES.filter((name) => {
+    const p = topo.step(snake.head, DIRECTIONS[name]);
+    return topo.inBounds(p) && !blocked[p.y * board.width + p.x];
+  });
+}
+
+// The same position searches the same way, so replays and self-play are reproducible
+function seedFor(state) {
+  const text = `${state.game?.id}/${state.turn}/${state.you.id}`;
+  let seed = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) seed = Math.imul(seed ^ text.charCodeAt(i), 0x01000193);
+  return seed;
+}
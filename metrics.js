@@ -0,0 +1,144 @@
+// Prometheus metrics, served as text at GET /metrics.
+// A small registry (counters, gauges, histograms with labels) plus the snake's own metrics,
+// fed from move()/start()/end() in snake.js the same way recorder.js is.
+
+import { activeSessionCount } from './sessions.js';
+
+const registry = [];
+
+/* -------------------- Registry -------------------- */
+
+function counter(name, help) {
+  const values = new Map();
+  const metric = {
+    name, help, type: "counter",
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) ?? 0) + by);
+    },
+    lines: () => [...values].map(([key, v]) => `${name}${key} ${v}`),
+    reset: () => values.clear(),
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// `collect` is read at scrape time
+function gauge(name, help, collect) {
+  const metric = {
+    name, help, type: "gauge",
+    lines: () => [`${name} ${collect()}`],
+    reset: () => {},
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // label key -> { labels, counts per bucket, sum, count }
+  const metric = {
+    name, help, type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let s = series.get(key);
+      if (!s) series.set(key, (s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+    lines: () => {
+      const out = [];
+      for (const [key, s] of series) {
+        buckets.forEach((le, i) => out.push(`${name}_bucket${labelKey({ ...s.labels, le: String(le) })} ${s.counts[i]}`));
+        out.push(`${name}_bucket${labelKey({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        out.push(`${name}_sum${key} ${s.sum}`);
+        out.push(`${name}_count${key} ${s.count}`);
+      }
+      return out;
+    },
+    reset: () => series.clear(),
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function labelKey(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+// Prometheus text exposition format
+export function renderMetrics() {
+  const out = [];
+  for (const m of registry) {
+    out.push(`# HELP ${m.name} ${m.help}`);
+    out.push(`# TYPE ${m.name} ${m.type}`);
+    out.push(...m.lines());
+  }
+  return out.join("\n") + "\n";
+}
+
+export function resetMetrics() {
+  for (const m of registry) m.reset();
+}
+
+/* -------------------- The snake's metrics -------------------- */
+
+const DEFAULT_TIMEOUT_MS = 500; // what the engine allows when the request doesn't say
+
+const moveDuration = histogram("battlesnake_move_duration_seconds",
+  "Time spent deciding a move", [0.005, 0.01, 0.025, 0.05, 0.1, 0.2, 0.3, 0.35, 0.4, 0.45, 0.5, 1]);
+const moveHeadroom = histogram("battlesnake_move_headroom_seconds",
+  "game.timeout minus the time spent deciding; near zero means we're about to time out",
+  [0, 0.025, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4, 0.5]);
+const searchDepth = histogram("battlesnake_search_depth",
+  "Deepest lookahead completed per move (0: none)", [0, 1, 2, 3, 4, 5, 6, 8]);
+const searchCombos = histogram("battlesnake_search_combos",
+  "Opponent reply combinations evaluated per move", [0, 10, 50, 100, 250, 500, 1000, 2500, 5000, 10000]);
+const movesTotal = counter("battlesnake_moves_total", "Moves answered");
+const fallbackMoves = counter("battlesnake_fallback_moves_total",
+  "Moves made with no safe option (fallback by reachable space)");
+const cutShortMoves = counter("battlesnake_cut_short_moves_total",
+  "Moves sent when the response deadline hit, before the decision finished");
+const gamesStarted = counter("battlesnake_games_started_total", "Games started");
+const gamesFinished = counter("battlesnake_games_finished_total", "Games finished, by outcome");
+gauge("battlesnake_active_games", "Games with a live session", () => activeSessionCount());
+
+// decision: { computeMs, depth, combos, fallback, cutShort } as returned by decideMove()/watchedMove()
+export function observeMove(gameState, decision) {
+  const ruleset = rulesetOf(gameState);
+  const timeoutMs = Number(gameState?.game?.timeout) || DEFAULT_TIMEOUT_MS;
+  moveDuration.observe({ ruleset }, decision.computeMs / 1000);
+  moveHeadroom.observe({ ruleset }, Math.max(0, timeoutMs - decision.computeMs) / 1000);
+  searchDepth.observe({ ruleset }, decision.depth ?? 0);
+  searchCombos.observe({ ruleset }, decision.combos ?? 0);
+  movesTotal.inc({ ruleset });
+  if (decision.fallback) fallbackMoves.inc({ ruleset });
+  if (decision.cutShort) cutShortMoves.inc({ ruleset });
+}
+
+export function observeGameStart(gameState) {
+  gamesStarted.inc({ ruleset: rulesetOf(gameState) });
+}
+
+export function observeGameEnd(gameState) {
+  gamesFinished.inc({ ruleset: rulesetOf(gameState), outcome: gameOutcome(gameState) });
+}
+
+// From the final board in /end: "win", "loss", "draw" (nobody left, or several still alive
+// at a turn limit) or "solo"
+export function gameOutcome(gameState) {
+  if (rulesetOf(gameState) === "solo") return "solo";
+  const alive = gameState?.board?.snakes ?? [];
+  const weSurvived = alive.some((s) => s.id === gameState?.you?.id);
+  if (weSurvived) return alive.length === 1 ? "win" : "draw";
+  return alive.length === 0 ? "draw" : "loss";
+}
+
+function rulesetOf(gameState) {
+  return gameState?.game?.ruleset?.name ?? "standard";
+}
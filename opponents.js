@@ -0,0 +1,166 @@
+// Opponent behaviour model, learned from each snake's observed moves.
+// Every time a snake moves we look at the choices it had on the previous board (closer to
+// food, closer to another head, into open space, into a contested head-to-head cell) and
+// note which of them it actually took. Rates are Laplace-smoothed, so a snake we know
+// nothing about predicts a uniform spread over its safe moves.
+
+const DIRECTIONS = [
+  { name: "up", dx: 0, dy: 1 },
+  { name: "down", dx: 0, dy: -1 },
+  { name: "left", dx: -1, dy: 0 },
+  { name: "right", dx: 1, dy: 0 },
+];
+
+const STYLES = {
+  food: "food-seeking",
+  aggressive: "aggressive",
+  space: "space-hugging",
+};
+
+const MIN_CONFIDENT_OBSERVATIONS = 5; // below this the model is mostly prior
+const MAX_LOG_ODDS = 3; // clamp so a single habit never makes a move "impossible"
+
+/* -------------------- Model -------------------- */
+
+export function createOpponentModel() {
+  const counter = () => ({ opportunities: 0, chosen: 0 });
+  return {
+    observed: 0,
+    features: { food: counter(), aggressive: counter(), space: counter() },
+    // head-to-head cells it could have entered, split by whether it would have won there
+    headToHead: { winning: counter(), risky: counter() },
+  };
+}
+
+// `board` and `snake` are as they were *before* the move was made
+export function observeOpponentMove(model, board, snake, moveName, topo) {
+  const options = describeMoves(board, snake, topo);
+  const picked = options.find((o) => o.move === moveName);
+  if (!picked) return; // it moved somewhere we'd have called unsafe; nothing to compare
+
+  model.observed++;
+  for (const feature of Object.keys(model.features)) {
+    // only a real choice (some options with the feature, some without) says anything
+    if (options.some((o) => o[feature]) && options.some((o) => !o[feature])) {
+      model.features[feature].opportunities++;
+      if (picked[feature]) model.features[feature].chosen++;
+    }
+  }
+
+  const contested = options.filter((o) => o.contested);
+  if (contested.length > 0 && contested.length < options.length) {
+    const bucket = contested.every((o) => o.winning) ? "winning" : "risky";
+    model.headToHead[bucket].opportunities++;
+    if (picked.contested) model.headToHead[bucket].chosen++;
+  }
+}
+
+export function isModelConfident(model) {
+  return !!model && model.observed >= MIN_CONFIDENT_OBSERVATIONS;
+}
+
+// Chance the snake takes a head-to-head cell when it has an alternative
+export function headToHeadWillingness(model, winning) {
+  if (!model) return 0.5;
+  return smoothedRate(model.headToHead[winning ? "winning" : "risky"]);
+}
+
+// Dominant style, or "unknown" while we haven't seen enough / nothing stands out
+export function classifyOpponent(model) {
+  if (!isModelConfident(model)) return "unknown";
+  let best = null;
+  let bestRate = 0.5;
+  for (const [feature, counts] of Object.entries(model.features)) {
+    const rate = smoothedRate(counts);
+    if (rate > bestRate) {
+      best = feature;
+      bestRate = rate;
+    }
+  }
+  return best ? STYLES[best] : "unknown";
+}
+
+/* -------------------- Prediction -------------------- */
+
+// { moveName: probability } over the snake's safe moves (in-bounds moves if none are safe)
+export function predictMoveProbabilities(model, board, snake, topo) {
+  let options = describeMoves(board, snake, topo);
+  if (options.length === 0) {
+    options = DIRECTIONS
+      .filter((d) => topo.inBounds(topo.step(snake.head, d)))
+      .map((d) => ({ move: d.name }));
+  }
+  if (options.length === 0) return {};
+
+  const logits = options.map((o) => {
+    if (!model) return 0;
+    let logit = 0;
+    for (const [feature, counts] of Object.entries(model.features)) {
+      if (o[feature]) logit += logOdds(smoothedRate(counts));
+    }
+    if (o.contested) logit += logOdds(headToHeadWillingness(model, o.winning));
+    return logit;
+  });
+
+  const maxLogit = Math.max(...logits);
+  const weights = logits.map((l) => Math.exp(l - maxLogit));
+  const total = weights.reduce((a, b) => a + b, 0);
+  const probabilities = {};
+  options.forEach((o, i) => {
+    probabilities[o.move] = weights[i] / total;
+  });
+  return probabilities;
+}
+
+/* -------------------- Move features -------------------- */
+
+function describeMoves(board, snake, topo) {
+  const occupied = new Set();
+  for (const s of board.snakes) {
+    // tails move out of the way (growth is ignored; this is a behaviour model, not a safety check)
+    for (let i = 0; i < s.body.length - 1; i++) occupied.add(`${s.body[i].x},${s.body[i].y}`);
+  }
+  const isFree = (p) => topo.inBounds(p) && !occupied.has(`${p.x},${p.y}`);
+
+  const others = board.snakes.filter((s) => s.id !== snake.id);
+  const nearestFood = (p) => nearest(p, board.food, topo);
+  const nearestHead = (p) => nearest(p, others.map((s) => s.head), topo);
+
+  const options = [];
+  for (const d of DIRECTIONS) {
+    const dest = topo.step(snake.head, d);
+    if (!isFree(dest)) continue;
+    const rivals = others.filter((s) => topo.distance(s.head, dest) === 1);
+    options.push({
+      move: d.name,
+      food: board.food.length > 0 && nearestFood(dest) < nearestFood(snake.head),
+      aggressive: others.length > 0 && nearestHead(dest) < nearestHead(snake.head),
+      openness: DIRECTIONS.filter((n) => isFree(topo.step(dest, n))).length,
+      contested: rivals.length > 0,
+      winning: rivals.every((s) => s.body.length < snake.body.length),
+    });
+  }
+
+  // "space": heading for the most open of the available cells, when they differ at all
+  const openness = options.map((o) => o.openness);
+  const most = Math.max(...openness);
+  const least = Math.min(...openness);
+  for (const o of options) o.space = most > least && o.openness === most;
+
+  return options;
+}
+
+function nearest(p, targets, topo) {
+  let best = Infinity;
+  for (const t of targets) best = Math.min(best, topo.distance(p, t));
+  return best;
+}
+
+function smoothedRate(counts) {
+  return (counts.chosen + 1) / (counts.opportunities + 2);
+}
+
+function logOdds(rate) {
+  const l = Math.log(rate / (1 - rate));
+  return Math.max(-MAX_LOG_ODDS, Math.min(MAX_LOG_ODDS, l));
+}
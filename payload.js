@@ -0,0 +1,81 @@
+// Validation of the Battlesnake API request bodies (POST /start, /move, /end), so a malformed
+// request gets a 400 listing what's wrong instead of a crash inside the strategy.
+// Checks the fields the strategy and rules rely on; extra fields are ignored, and fields we
+// never read (game.map, game.source, squad, shout...) are not required.
+
+// `alive`: the request is for a move, so our snake must be on the board (at /end it may not be)
+export function validateGameState(body, { alive = false } = {}) {
+  const problems = [];
+  if (!isPlainObject(body)) return ["expected a JSON object"];
+
+  const game = body.game;
+  if (!isPlainObject(game)) problems.push("game: expected an object");
+  else {
+    if (!nonEmptyString(game.id)) problems.push("game.id: expected a non-empty string");
+    if (game.ruleset !== undefined) {
+      if (!isPlainObject(game.ruleset)) problems.push("game.ruleset: expected an object");
+      else {
+        const { name, settings } = game.ruleset;
+        if (name !== undefined && typeof name !== "string") problems.push("game.ruleset.name: expected a string");
+        if (settings !== undefined && !isPlainObject(settings)) problems.push("game.ruleset.settings: expected an object");
+      }
+    }
+    if (game.timeout !== undefined && !(Number.isFinite(game.timeout) && game.timeout > 0)) problems.push("game.timeout: expected a positive number");
+  }
+
+  if (!(Number.isInteger(body.turn) && body.turn >= 0)) problems.push("turn: expected a whole number, 0 or more");
+
+  const board = body.board;
+  if (!isPlainObject(board)) problems.push("board: expected an object");
+  else {
+    for (const side of ["width", "height"]) {
+      if (!(Number.isInteger(board[side]) && board[side] > 0)) problems.push(`board.${side}: expected a whole number above 0`);
+    }
+    checkPoints(board.food, "board.food", problems);
+    if (board.hazards !== undefined) checkPoints(board.hazards, "board.hazards", problems);
+    if (!Array.isArray(board.snakes)) problems.push("board.snakes: expected an array");
+    else board.snakes.forEach((snake, i) => checkSnake(snake, `board.snakes[${i}]`, problems));
+  }
+
+  checkSnake(body.you, "you", problems);
+
+  if (alive && !problems.length) {
+    if (!board.snakes.some((s) => s.id === body.you.id)) problems.push(`you: snake "${body.you.id}" is not on the board`);
+    const { x, y } = body.you.head;
+    if (x >= board.width || y >= board.height || x < 0 || y < 0) problems.push("you.head: off the board");
+  }
+  return problems;
+}
+
+function checkSnake(snake, where, problems) {
+  if (!isPlainObject(snake)) {
+    problems.push(`${where}: expected an object`);
+    return;
+  }
+  if (!nonEmptyString(snake.id)) problems.push(`${where}.id: expected a non-empty string`);
+  if (!Number.isFinite(snake.health)) problems.push(`${where}.health: expected a number`);
+  if (!Array.isArray(snake.body) || !snake.body.length) problems.push(`${where}.body: expected a non-empty array`);
+  else checkPoints(snake.body, `${where}.body`, problems);
+  if (!isPoint(snake.head)) problems.push(`${where}.head: expected { x, y } with whole numbers`);
+  if (snake.length !== undefined && !Number.isInteger(snake.length)) problems.push(`${where}.length: expected a whole number`);
+}
+
+function checkPoints(points, where, problems) {
+  if (!Array.isArray(points)) problems.push(`${where}: expected an array`);
+  else {
+    const bad = points.findIndex((p) => !isPoint(p));
+    if (bad !== -1) problems.push(`${where}[${bad}]: expected { x, y } with whole numbers`);
+  }
+}
+
+function isPoint(p) {
+  return isPlainObject(p) && Number.isInteger(p.x) && Number.isInteger(p.y);
+}
+
+function nonEmptyString(v) {
+  return typeof v === "string" && v.length > 0;
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
@@ -0,0 +1,81 @@
+// A fixed pool of worker threads running one task at a time each, first come first served.
+// The worker script answers every { id, task } message with { id, result } or { id, error }.
+// A worker that dies is replaced and its task fails. Idle workers don't keep the process alive.
+
+import { Worker } from 'node:worker_threads';
+
+export function createWorkerPool(file, size) {
+  const idle = [];
+  const queue = []; // { task, resolve, reject, signal }
+  const running = new Map(); // worker -> job
+  let nextId = 0;
+  let closed = false;
+
+  const spawn = () => {
+    const worker = new Worker(file);
+    worker.unref();
+    worker.on("message", ({ id, result, error }) => {
+      const job = running.get(worker);
+      if (!job || job.id !== id) return;
+      running.delete(worker);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+      release(worker);
+    });
+    worker.on("error", (e) => {
+      const job = running.get(worker);
+      running.delete(worker);
+      job?.reject(e);
+    });
+    worker.on("exit", () => {
+      const job = running.get(worker);
+      running.delete(worker);
+      job?.reject(new Error("worker exited"));
+      const i = idle.indexOf(worker);
+      if (i !== -1) idle.splice(i, 1);
+      if (!closed) release(spawn());
+    });
+    return worker;
+  };
+
+  // hand a free worker the next task still wanted, or park it
+  const release = (worker) => {
+    let job;
+    while ((job = queue.shift()) && job.signal?.aborted);
+    if (!job) {
+      worker.unref();
+      idle.push(worker);
+      return;
+    }
+    job.id = nextId++;
+    running.set(worker, job);
+    worker.ref(); // a task in flight keeps the process alive
+    worker.postMessage({ id: job.id, task: job.task });
+  };
+
+  for (let i = 0; i < size; i++) idle.push(spawn());
+
+  return {
+    size,
+    // `signal` (an AbortSignal) drops the task if it hasn't started; a started one runs on
+    // and its result is discarded by the caller
+    run(task, signal) {
+      if (closed) return Promise.reject(new Error("pool closed"));
+      return new Promise((resolve, reject) => {
+        // the signal is shared by a whole search: let go of it once this task settles
+        const onAbort = () => reject(signal.reason);
+        const settle = (done) => (value) => {
+          signal?.removeEventListener("abort", onAbort);
+          done(value);
+        };
+        queue.push({ task, resolve: settle(resolve), reject: settle(reject), signal });
+        signal?.addEventListener("abort", onAbort, { once: true });
+        if (idle.length) release(idle.pop());
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all([...idle, ...running.keys()].map((w) => w.terminate()));
+    },
+  };
+}
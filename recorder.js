@@ -0,0 +1,100 @@
+// Game recorder: one JSONL file per game.id under RECORD_DIR, one line per request.
+//   { type: "start", at, snake, request }
+//   { type: "move",  at, snake, turn, request, response, candidates, depth, computeMs }
+//   { type: "end",   at, snake, request }
+// Recording is off unless RECORD_DIR is set. `snake` is our snake's id, so a game played by
+// several of our snakes (self-play) still replays one snake at a time.
+// Writes are synchronous appends: lines stay in order and nothing is lost if we crash mid-game.
+
+import { appendFileSync, mkdirSync, readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { logger, gameContext } from './logger.js';
+
+let recordDir = process.env.RECORD_DIR || null;
+let warned = false;
+
+export function setRecordDir(dir) {
+  recordDir = dir || null;
+}
+
+export function isRecording() {
+  return recordDir !== null;
+}
+
+export function recordingDir() {
+  return recordDir;
+}
+
+export function recordingPath(gameId, dir = recordDir) {
+  // game ids come from the outside; keep them to a safe file name
+  return path.join(dir, `${String(gameId).replace(/[^A-Za-z0-9_.-]/g, "_")}.jsonl`);
+}
+
+/* -------------------- Writing -------------------- */
+
+export function recordStart(gameState) {
+  append(gameState, { type: "start", request: gameState });
+}
+
+// decision: { move, candidates, depth, computeMs } as returned by decideMove()
+export function recordMove(gameState, decision) {
+  append(gameState, {
+    type: "move",
+    turn: gameState.turn,
+    request: gameState,
+    response: { move: decision.move },
+    candidates: decision.candidates,
+    depth: decision.depth,
+    computeMs: decision.computeMs,
+  });
+}
+
+export function recordEnd(gameState) {
+  append(gameState, { type: "end", request: gameState });
+}
+
+function append(gameState, entry) {
+  if (!recordDir || !gameState?.game?.id) return;
+  const line = JSON.stringify({ type: entry.type, at: Date.now(), snake: gameState.you?.id, ...entry });
+  try {
+    mkdirSync(recordDir, { recursive: true });
+    appendFileSync(recordingPath(gameState.game.id), line + "\n");
+  } catch (e) {
+    // a full disk must never cost us a move; say so once and carry on
+    if (!warned) logger.error("recording failed", { ...gameContext(gameState), error: e.message });
+    warned = true;
+  }
+}
+
+/* -------------------- Reading -------------------- */
+
+// Entries of a recording, in order; `snake` picks one of our snakes (default: the first seen)
+export function readRecording(file, snake) {
+  const entries = readEntries(file);
+  const id = snake ?? entries.find((e) => e.snake)?.snake;
+  return entries.filter((e) => e.snake === id);
+}
+
+// Ids of our snakes that appear in a recording
+export function recordedSnakes(file) {
+  return [...new Set(readEntries(file).map((e) => e.snake).filter(Boolean))];
+}
+
+function readEntries(file) {
+  return readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Recordings in a directory, newest first: [{ name, size, modified }]
+export function listRecordings(dir = recordDir) {
+  if (!dir || !existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((name) => name.endsWith(".jsonl"))
+    .map((name) => {
+      const stat = statSync(path.join(dir, name));
+      return { name, size: stat.size, modified: stat.mtimeMs };
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
@@ -0,0 +1,113 @@
+// Replay a recorded game (see recorder.js) through the current strategy and report every
+// turn where it would now choose differently from what we actually played.
+//
+//   RECORD_DIR=recordings npm start                     record live games
+//   node replay.js recordings/<game id>.jsonl           replay one with ./snake.js
+//   node replay.js -s ./experiments/greedy.js --all recordings/<game id>.jsonl
+//
+// Opponents can't react to the new move, so each turn replays the recorded board as it was;
+// the strategy still sees the whole game in order, so per-game history builds up as it did live.
+
+import { parseArgs, format } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { readRecording, setRecordDir } from './recorder.js';
+import { setLogLevel } from './logger.js';
+
+const USAGE = `Usage: node replay.js [options] <recording.jsonl>...
+
+  -s, --strategy <path>  module to replay with (default ./snake.js)
+      --snake <id>       which of our snakes to replay when a recording holds several
+  -a, --all              print every turn, not only the changed ones
+  -v, --verbose          keep the strategy's own logging
+  -h, --help             show this help`;
+
+const print = (...args) => process.stdout.write(format(...args) + "\n");
+
+const { values: args, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    strategy: { type: "string", short: "s", default: "./snake.js" },
+    snake: { type: "string" },
+    all: { type: "boolean", short: "a", default: false },
+    verbose: { type: "boolean", short: "v", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (args.help || files.length === 0) {
+  print(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+
+// replaying must not append to the recordings we're reading
+setRecordDir(null);
+if (!args.verbose) setLogLevel("silent");
+
+const strategy = await loadStrategy(args.strategy);
+let totalTurns = 0;
+let totalChanged = 0;
+
+for (const file of files) {
+  const entries = readRecording(file, args.snake);
+  const moves = entries.filter((e) => e.type === "move");
+  if (moves.length === 0) {
+    print(`${file}: no moves recorded`);
+    continue;
+  }
+
+  const first = entries[0];
+  print(`${file}: game ${first.request.game.id}, ${first.request.game.ruleset?.name ?? "standard"}, ` +
+    `snake ${first.snake}, ${moves.length} turn(s)`);
+
+  const startEntry = entries.find((e) => e.type === "start");
+  if (startEntry && strategy.start) strategy.start(startEntry.request);
+
+  let changed = 0;
+  for (const entry of moves) {
+    const now = strategy.decide(entry.request);
+    const was = entry.response.move;
+    const differs = now.move !== was;
+    if (differs) changed++;
+    if (differs || args.all) {
+      print(`  turn ${String(entry.turn).padStart(4)}  ${differs ? `${was} -> ${now.move}` : `${was} (same)`}`);
+      print(`    recorded  depth ${entry.depth ?? "?"}, ${entry.computeMs ?? "?"}ms  ${describe(entry.candidates)}`);
+      print(`    replayed  depth ${now.depth ?? "?"}, ${now.computeMs ?? "?"}ms  ${describe(now.candidates)}`);
+    }
+  }
+
+  const endEntry = entries.find((e) => e.type === "end");
+  if (endEntry && strategy.end) strategy.end(endEntry.request);
+
+  print(`  ${changed} of ${moves.length} decision(s) changed`);
+  totalTurns += moves.length;
+  totalChanged += changed;
+}
+
+if (files.length > 1) print(`\n${totalChanged} of ${totalTurns} decision(s) changed across ${files.length} games`);
+
+/* -------------------- helpers -------------------- */
+
+// "up 412.5  left 88.0  ..." from a candidate list (best first)
+function describe(candidates) {
+  if (!candidates?.length) return "";
+  return candidates
+    .map((c) => `${c.move} ${Number(c.totalScore ?? c.score ?? 0).toFixed(1)}`)
+    .join("  ");
+}
+
+// Strategies exporting decideMove() report their candidate scores; plain move() ones just the move
+async function loadStrategy(p) {
+  const mod = await import(pathToFileURL(path.resolve(p)).href);
+  const handlers = typeof mod.move === "function" ? mod : mod.default;
+  if (!handlers || typeof handlers.move !== "function") {
+    throw new Error(`${p} does not export a move() function`);
+  }
+  return {
+    start: handlers.start,
+    end: handlers.end,
+    decide: typeof handlers.decideMove === "function"
+      ? handlers.decideMove
+      : (state) => ({ move: handlers.move(state)?.move }),
+  };
+}
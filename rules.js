@@ -0,0 +1,178 @@
+// Battlesnake rules, as the official engine applies them each turn:
+//   1. move every snake (new head, tail follows)
+//   2. reduce health by one
+//   3. hazard damage (per stacked hazard; skipped for a snake whose head is on food)
+//   4. feed: head on food -> health back to max, grow by repeating the tail segment
+//   5. eliminate: out of health / out of bounds first, then self, body and head-to-head
+//      collisions, decided simultaneously among the snakes still standing
+// Constrictor instead keeps every snake at full health and grows it after elimination.
+// Food spawning and royale shrinking are random and belong to the game engine, not here.
+
+import { getTopology } from './topology.js';
+
+export const MAX_HEALTH = 100;
+export const DEFAULT_HAZARD_DAMAGE = 14;
+
+export const DIRECTIONS = {
+  up: { dx: 0, dy: 1 },
+  down: { dx: 0, dy: -1 },
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 },
+};
+
+/* -------------------- State copies -------------------- */
+
+// Copy everything the rules touch; `you` points at our snake inside the copied board
+export function cloneState(state) {
+  const snakes = state.board.snakes.map(cloneSnake);
+  return {
+    game: { ...state.game },
+    turn: state.turn,
+    board: {
+      height: state.board.height,
+      width: state.board.width,
+      food: state.board.food.map((f) => ({ ...f })),
+      hazards: (state.board.hazards || []).map((h) => ({ ...h })),
+      snakes,
+    },
+    you: snakes.find((s) => s.id === state.you?.id) ?? (state.you ? cloneSnake(state.you) : undefined),
+  };
+}
+
+function cloneSnake(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    health: s.health,
+    body: s.body.map((b) => ({ ...b })),
+    head: { ...s.head },
+    length: s.body.length,
+  };
+}
+
+/* -------------------- One turn -------------------- */
+
+// Advance `state` one turn in place. `chosen` maps snake id -> move name; a snake without
+// a (valid) move carries on in the direction it's facing, like a timed-out snake does.
+// Returns the snakes eliminated this turn: [{ id, snake, cause, by }]
+export function stepTurn(state, chosen) {
+  const board = state.board;
+  const topo = getTopology(state);
+  const constrictor = isConstrictorRuleset(state);
+
+  // 1. move
+  for (const snake of board.snakes) {
+    const dir = DIRECTIONS[chosen.get(snake.id)] ?? DIRECTIONS[facing(snake)];
+    moveSnake(snake, dir, topo);
+  }
+
+  // 2. + 3. health and hazards
+  const damage = hazardDamage(state);
+  for (const snake of board.snakes) {
+    snake.health -= 1;
+    if (board.hazards?.length && !isOnFood(snake, board)) {
+      const stacks = board.hazards.filter((h) => h.x === snake.head.x && h.y === snake.head.y).length;
+      snake.health = Math.max(0, snake.health - stacks * damage);
+    }
+  }
+
+  // 4. feed
+  if (!constrictor) {
+    const eaten = new Set();
+    for (const snake of board.snakes) {
+      if (isOnFood(snake, board)) {
+        snake.health = MAX_HEALTH;
+        growSnake(snake);
+        eaten.add(`${snake.head.x},${snake.head.y}`);
+      }
+    }
+    if (eaten.size) board.food = board.food.filter((f) => !eaten.has(`${f.x},${f.y}`));
+  }
+
+  // 5. eliminate
+  const eliminated = eliminateSnakes(board, topo);
+
+  if (constrictor) {
+    for (const snake of board.snakes) {
+      snake.health = MAX_HEALTH;
+      growSnake(snake);
+    }
+  }
+
+  for (const snake of board.snakes) snake.length = snake.body.length;
+  if (state.you) {
+    state.you = board.snakes.find((s) => s.id === state.you.id) ?? state.you;
+  }
+  state.turn = (state.turn ?? 0) + 1;
+  return eliminated;
+}
+
+export function moveSnake(snake, dir, topo) {
+  const head = topo.step(snake.head, dir); // wraps around on wrapped boards
+  snake.body.unshift(head);
+  snake.body.pop();
+  snake.head = head;
+}
+
+function growSnake(snake) {
+  snake.body.push({ ...snake.body[snake.body.length - 1] });
+}
+
+function eliminateSnakes(board, topo) {
+  const out = [];
+  for (const snake of board.snakes) {
+    if (snake.health <= 0) out.push({ id: snake.id, snake, cause: "out-of-health" });
+    else if (!topo.inBounds(snake.head)) out.push({ id: snake.id, snake, cause: "wall-collision" });
+  }
+  const standing = board.snakes.filter((s) => !out.some((o) => o.snake === s));
+
+  const collisions = [];
+  for (const snake of standing) {
+    const { head } = snake;
+    if (snake.body.slice(1).some((b) => b.x === head.x && b.y === head.y)) {
+      collisions.push({ id: snake.id, snake, cause: "snake-self-collision" });
+      continue;
+    }
+    const body = standing.find((o) => o !== snake && o.body.slice(1).some((b) => b.x === head.x && b.y === head.y));
+    if (body) {
+      collisions.push({ id: snake.id, snake, cause: "snake-collision", by: body.id });
+      continue;
+    }
+    const headOn = standing.find((o) => o !== snake &&
+      o.head.x === head.x && o.head.y === head.y && snake.body.length <= o.body.length);
+    if (headOn) collisions.push({ id: snake.id, snake, cause: "head-collision", by: headOn.id });
+  }
+
+  const eliminated = [...out, ...collisions];
+  const dead = new Set(eliminated.map((e) => e.snake));
+  board.snakes = board.snakes.filter((s) => !dead.has(s));
+  return eliminated;
+}
+
+/* -------------------- Helpers -------------------- */
+
+export function isConstrictorRuleset(state) {
+  const name = state?.game?.ruleset?.name;
+  return typeof name === "string" && name.includes("constrictor");
+}
+
+export function hazardDamage(state) {
+  const dmg = state?.game?.ruleset?.settings?.hazardDamagePerTurn;
+  return typeof dmg === "number" ? dmg : DEFAULT_HAZARD_DAMAGE;
+}
+
+function isOnFood(snake, board) {
+  return board.food.some((f) => f.x === snake.head.x && f.y === snake.head.y);
+}
+
+// Direction from neck to head ("up" for a snake that hasn't moved yet)
+export function facing(snake) {
+  const [head, neck] = snake.body;
+  if (!neck || (head.x === neck.x && head.y === neck.y)) return "up";
+  const dx = head.x - neck.x, dy = head.y - neck.y;
+  // a jump of more than one cell means we wrapped around the edge
+  if (dx === 1 || dx < -1) return "right";
+  if (dx === -1 || dx > 1) return "left";
+  if (dy === 1 || dy < -1) return "up";
+  return "down";
+}
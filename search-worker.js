@@ -0,0 +1,17 @@
+// Search worker (see pool.js): plays out the lookahead for one candidate move at one depth.
+//   task:   { state, settings, models, move, depth, deadline }   models: see modelSnapshot()
+//   result: { score, combos }, or { timedOut: true } if the deadline passed first
+
+import { parentPort } from 'node:worker_threads';
+import { adoptModels } from './sessions.js';
+import { lookahead } from './snake.js';
+
+parentPort.on("message", ({ id, task }) => {
+  try {
+    const { state, settings, models, move, depth, deadline } = task;
+    adoptModels(state, models);
+    parentPort.postMessage({ id, result: lookahead(state, settings, move, depth, deadline) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
@@ -0,0 +1,124 @@
+// Offline self-play: run complete games between copies (or variants) of our strategy.
+//
+//   node selfplay.js                                   4 copies of snake.js, one 11x11 standard game
+//   node selfplay.js -n 2 -g wrapped --games 20 --seed 7
+//   node selfplay.js -s ./snake.js -s ./experiments/greedy.js -W 19 -H 19
+//   node selfplay.js -p default -p mcts --games 20          snake.js under two config profiles
+//
+// A strategy is any module exporting move(state) (start/end are optional).
+
+import { parseArgs, format } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { runGame, renderBoard } from './engine.js';
+import { profileSettings } from './config.js';
+import { playerWithSettings } from './tuner.js';
+import { setLogLevel } from './logger.js';
+
+const USAGE = `Usage: node selfplay.js [options]
+
+  -W, --width <n>        board width (default 11)
+  -H, --height <n>       board height (default 11)
+  -g, --ruleset <name>   standard | royale | wrapped | constrictor | solo (default standard)
+  -n, --snakes <n>       copies of ./snake.js to play when no --strategy or --profile is given (default 4)
+  -s, --strategy <path>  add a snake driven by the module at <path> (repeatable)
+  -p, --profile <name>   add a ./snake.js playing the named config profile (repeatable)
+      --games <n>        number of games (default 1)
+      --seed <n>         seed for the first game; game i uses seed + i (default: current time)
+      --max-turns <n>    stop a game after this many turns (default 1000)
+      --timeout <ms>     game.timeout handed to the snakes (default 500)
+  -v, --verbose          print the board every turn and keep the strategies' own logging
+  -h, --help             show this help`;
+
+const print = (...args) => process.stdout.write(format(...args) + "\n");
+
+const { values: args } = parseArgs({
+  options: {
+    width: { type: "string", short: "W", default: "11" },
+    height: { type: "string", short: "H", default: "11" },
+    ruleset: { type: "string", short: "g", default: "standard" },
+    snakes: { type: "string", short: "n", default: "4" },
+    strategy: { type: "string", short: "s", multiple: true, default: [] },
+    profile: { type: "string", short: "p", multiple: true, default: [] },
+    games: { type: "string", default: "1" },
+    seed: { type: "string" },
+    "max-turns": { type: "string", default: "1000" },
+    timeout: { type: "string", default: "500" },
+    verbose: { type: "boolean", short: "v", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (args.help) {
+  print(USAGE);
+  process.exit(0);
+}
+
+// strategies log every move; that's noise here unless asked for
+if (!args.verbose) setLogLevel("silent");
+
+const players = await loadPlayers(args);
+const games = Number(args.games);
+const baseSeed = args.seed !== undefined ? Number(args.seed) : Date.now();
+
+const wins = players.map(() => 0);
+let draws = 0;
+let totalTurns = 0;
+
+for (let i = 0; i < games; i++) {
+  const seed = baseSeed + i;
+  const result = runGame(
+    {
+      width: Number(args.width),
+      height: Number(args.height),
+      ruleset: args.ruleset,
+      timeout: Number(args.timeout),
+      maxTurns: Number(args["max-turns"]),
+      seed,
+    },
+    players,
+    args.verbose ? (game, chosen) => print(`\nturn ${game.turn}`, Object.fromEntries(chosen), `\n${renderBoard(game)}`) : undefined,
+  );
+
+  totalTurns += result.turns;
+  if (result.winnerIndex !== null) wins[result.winnerIndex]++;
+  else draws++;
+
+  print(`game ${i + 1} (seed ${seed}): ${result.winner ? `${result.winner} wins` : "no winner"} after ${result.turns} turns`);
+  for (const s of result.snakes) {
+    const fate = s.cause ? `${s.cause}${s.by ? ` (${s.by})` : ""} on turn ${s.turn}` : "survived";
+    print(`  ${s.name.padEnd(24)} length ${String(s.length).padStart(3)}  ${fate}`);
+  }
+}
+
+print(`\n${games} game(s), ${args.ruleset} ${args.width}x${args.height}, average ${(totalTurns / games).toFixed(1)} turns`);
+players.forEach((p, i) => {
+  print(`  ${p.name.padEnd(24)} ${wins[i]} win(s)  ${((wins[i] / games) * 100).toFixed(1)}%`);
+});
+if (players.length > 1) print(`  ${"draws".padEnd(24)} ${draws}`);
+
+async function loadPlayers(args) {
+  const paths = args.strategy.length || args.profile.length
+    ? args.strategy
+    : Array.from({ length: Number(args.snakes) }, () => "./snake.js");
+
+  const modules = await Promise.all(paths.map(async (p, i) => {
+    const mod = await import(pathToFileURL(path.resolve(p)).href);
+    const handlers = typeof mod.move === "function" ? mod : mod.default;
+    if (!handlers || typeof handlers.move !== "function") {
+      throw new Error(`${p} does not export a move() function`);
+    }
+    return {
+      name: `${i + 1}:${path.basename(p, ".js")}`,
+      move: handlers.move,
+      start: handlers.start,
+      end: handlers.end,
+    };
+  }));
+  const profiles = args.profile.map((name, i) => {
+    const settings = profileSettings(name);
+    if (!settings) throw new Error(`unknown profile "${name}"`);
+    return playerWithSettings(`${modules.length + i + 1}:${name}`, settings);
+  });
+  return [...modules, ...profiles];
+}
@@ -1,36 +1,134 @@
 import express from 'express';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { recordingDir, listRecordings, readRecording, recordedSnakes } from './recorder.js';
+import { logger, gameContext } from './logger.js';
+import { validateGameState } from './payload.js';
+import { emergencyMove } from './emergency.js';
+import { DIRECTIONS } from './rules.js';
 
-export default function runServer(handlers) {
-  const app = express();
-  app.use(express.json());
+const VISUALIZER_PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), "visualizer.html");
+
+// The /debug routes give away how the snake thinks and spend search time on request, so
+// they're only served when DEBUG_ROUTES is set
+const DEBUG_ROUTES = !!process.env.DEBUG_ROUTES;
+
+// 400 with every problem listed unless the body is a well-formed game state; see payload.js
+function validGameState(options) {
+  return (req, res, next) => {
+    const problems = validateGameState(req.body, options);
+    if (!problems.length) return next();
+    logger.warn("invalid request", { path: req.originalUrl, problems });
+    res.status(400).send({ error: "invalid game state", problems });
+  };
+}
 
-  app.get("/", (req, res) => {
+// The Battlesnake API for one snake
+function snakeRoutes(handlers) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
     res.send(handlers.info());
   });
 
-  app.post("/start", (req, res) => {
+  router.post("/start", validGameState(), (req, res) => {
     handlers.start(req.body);
     res.send("ok");
   });
 
-  app.post("/move", (req, res) => {
-    res.send(handlers.move(req.body));
+  // A strategy error must still produce a move: answering nothing makes the engine repeat
+  // our last one, wherever that leads. `move` may return a promise (see watchedMove()).
+  router.post("/move", validGameState({ alive: true }), async (req, res) => {
+    try {
+      const response = await handlers.move(req.body);
+      if (!DIRECTIONS[response?.move]) throw new Error(`strategy answered ${JSON.stringify(response)}`);
+      res.send(response);
+    } catch (e) {
+      const move = emergencyMove(req.body);
+      logger.error("move failed, sending emergency move", { ...gameContext(req.body), move, error: e });
+      res.send({ move });
+    }
   });
 
-  app.post("/end", (req, res) => {
+  router.post("/end", validGameState(), (req, res) => {
     handlers.end(req.body);
     res.send("ok");
   });
 
+  return router;
+}
+
+// handlers.snakes: { name: { info, start, move, end } } for more snakes, each served at /<name>/
+export default function runServer(handlers) {
+  const app = express();
+  app.use(express.json());
+
+  app.use("/", snakeRoutes(handlers));
+  for (const [name, snake] of Object.entries(handlers.snakes ?? {})) {
+    app.use(`/${name}`, snakeRoutes(snake));
+  }
+
+  if (handlers.metrics) {
+    app.get("/metrics", (req, res) => {
+      res.type("text/plain; version=0.0.4").send(handlers.metrics());
+    });
+  }
+
+  // Debug: the full reasoning behind the move we'd make on a board (a /move request body),
+  // without playing it. `explain` may return a promise.
+  if (DEBUG_ROUTES && handlers.explain) {
+    app.post("/debug/explain", validGameState({ alive: true }), async (req, res, next) => {
+      try {
+        res.send(await handlers.explain(req.body));
+      } catch (e) {
+        next(e);
+      }
+    });
+  }
+
+  // Debug: board visualizer with the strategy's analysis overlaid (visualizer.html)
+  if (DEBUG_ROUTES && handlers.analyze) {
+    app.get("/debug/viz", (req, res) => {
+      res.sendFile(VISUALIZER_PAGE);
+    });
+
+    app.post("/debug/analyze", validGameState({ alive: true }), (req, res) => {
+      res.send(handlers.analyze(req.body));
+    });
+
+    app.get("/debug/recordings", (req, res) => {
+      res.send(listRecordings());
+    });
+
+    app.get("/debug/recordings/:name", (req, res) => {
+      // only plain file names from the listing; never a path
+      const found = listRecordings().find((r) => r.name === req.params.name);
+      if (!found) return res.status(404).send({ error: "no such recording" });
+      const file = path.join(recordingDir(), found.name);
+      res.send({ snakes: recordedSnakes(file), entries: readRecording(file, req.query.snake) });
+    });
+  }
+
   app.use(function(req, res, next) {
     res.set("Server", "battlesnake/github/starter-snake-javascript");
     next();
   })
 
+  // JSON errors instead of Express's HTML page: 400 for bodies that aren't JSON, 500 otherwise
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      logger.warn("invalid request", { path: req.originalUrl, error: err.message });
+      return res.status(400).send({ error: "invalid JSON", problems: [err.message] });
+    }
+    logger.error("request failed", { path: req.originalUrl, ...gameContext(req.body), error: err });
+    res.status(500).send({ error: "internal error" });
+  });
+
   const host = '0.0.0.0';
   const port = process.env.PORT || 8000;
 
   app.listen(port, host, () => {
-    console.log(`Running Battlesnake at http://${host}:${port}...`)
+    const snakes = Object.keys(handlers.snakes ?? {});
+    logger.info(`Running Battlesnake at http://${host}:${port}`, { snakes: snakes.length ? snakes.map((name) => `/${name}/`) : undefined });
   });
 }
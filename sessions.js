@@ -0,0 +1,198 @@
+// Per-game session registry, keyed by game.id and our snake id (several of our snakes can
+// share a process, and even a game: self-play, multiple personalities on one server).
+// - created on /start (or lazily on the first /move if we restarted mid-game)
+// - updated on every /move with what happened since the previous turn
+// - removed on /end, or expired when a game goes quiet and /end never arrives (checked on
+//   every turn of any game and whenever the active-games count is read)
+
+import { getTopology } from './topology.js';
+import { createOpponentModel, observeOpponentMove } from './opponents.js';
+
+const SESSION_TTL_MS = 5 * 60 * 1000; // no /move for this long -> game is gone
+const MAX_HISTORY = 500; // per-snake observations kept (longer games keep the most recent)
+
+const DIRECTIONS = [
+  { name: "up", dx: 0, dy: 1 },
+  { name: "down", dx: 0, dy: -1 },
+  { name: "left", dx: -1, dy: 0 },
+  { name: "right", dx: 1, dy: 0 },
+];
+
+const sessions = new Map();
+
+/* -------------------- Lifecycle -------------------- */
+
+export function startSession(gameState, now = Date.now()) {
+  expireStaleSessions(now);
+  const session = createSession(gameState, now);
+  sessions.set(sessionKey(gameState), session);
+  return session;
+}
+
+export function getSession(gameState) {
+  return sessions.get(sessionKey(gameState));
+}
+
+export function endSession(gameState) {
+  const key = sessionKey(gameState);
+  const session = sessions.get(key);
+  sessions.delete(key);
+  return session;
+}
+
+export function expireStaleSessions(now = Date.now()) {
+  for (const [key, session] of sessions) {
+    if (now - session.lastSeenAt > SESSION_TTL_MS) sessions.delete(key);
+  }
+}
+
+// Read by the active-games gauge, so a game whose /end never came stops counting on time
+export function activeSessionCount(now = Date.now()) {
+  expireStaleSessions(now);
+  return sessions.size;
+}
+
+function sessionKey(gameState) {
+  return `${gameState?.game?.id}/${gameState?.you?.id}`;
+}
+
+function createSession(gameState, now) {
+  return {
+    id: gameState.game.id,
+    ruleset: gameState.game.ruleset?.name ?? "standard",
+    youId: gameState.you?.id,
+    startedAt: now,
+    lastSeenAt: now,
+    previousTurn: null,
+    previousBoard: null,
+    ourPreviousMove: null,
+    ourPreviousComputeMs: null, // how long that move took us, see searchDeadline() in snake.js
+    ourMoves: [], // [{ turn, move }]
+    snakes: new Map(), // snake id -> observation history + behaviour model, see observeSnake
+    foodEaten: [], // [{ turn, snakeId, x, y }]
+    transpositions: null, // the lookahead's transposition table, see transpositionTable() in snake.js
+    transpositionSettings: null, // ...and the settings it was filled with
+  };
+}
+
+/* -------------------- Per-turn updates -------------------- */
+
+// Fold the new turn into the session (diffing against the previous board) and return it
+export function observeTurn(gameState, now = Date.now()) {
+  expireStaleSessions(now);
+  let session = sessions.get(sessionKey(gameState));
+  if (!session) {
+    session = createSession(gameState, now);
+    sessions.set(sessionKey(gameState), session);
+  }
+  session.lastSeenAt = now;
+
+  // same turn asked twice (engine retry): nothing new to learn
+  if (gameState.turn === session.previousTurn) return session;
+
+  const prevBoard = session.previousBoard;
+  if (prevBoard) {
+    const topo = getTopology(gameState);
+    for (const snake of gameState.board.snakes) {
+      const before = prevBoard.snakes.find((s) => s.id === snake.id);
+      observeSnake(session, gameState.turn, snake, before, prevBoard, topo);
+    }
+  } else {
+    for (const snake of gameState.board.snakes) {
+      observeSnake(session, gameState.turn, snake, null, null, null);
+    }
+  }
+
+  session.previousTurn = gameState.turn;
+  session.previousBoard = snapshotBoard(gameState.board);
+  return session;
+}
+
+export function recordOurMove(session, gameState, moveName, computeMs = null) {
+  if (!session) return;
+  session.ourPreviousMove = moveName;
+  session.ourPreviousComputeMs = computeMs;
+  pushBounded(session.ourMoves, { turn: gameState.turn, move: moveName });
+}
+
+function observeSnake(session, turn, snake, before, prevBoard, topo) {
+  let history = session.snakes.get(snake.id);
+  if (!history) {
+    history = { id: snake.id, name: snake.name, observations: [], foodEaten: 0, model: createOpponentModel() };
+    session.snakes.set(snake.id, history);
+  }
+
+  const observation = {
+    turn,
+    head: { x: snake.head.x, y: snake.head.y },
+    length: snake.body.length,
+    health: snake.health,
+    move: null,
+    healthDelta: null,
+    ate: false,
+  };
+
+  if (before) {
+    observation.move = inferMove(before.head, snake.head, topo);
+    observation.healthDelta = snake.health - before.health;
+    if (observation.move && snake.id !== session.youId) {
+      observeOpponentMove(history.model, prevBoard, before, observation.move, topo);
+    }
+    const ateHere = prevBoard.food.some((f) => f.x === snake.head.x && f.y === snake.head.y);
+    if (ateHere && snake.body.length > before.body.length) {
+      observation.ate = true;
+      history.foodEaten++;
+      pushBounded(session.foodEaten, { turn, snakeId: snake.id, x: snake.head.x, y: snake.head.y });
+    }
+  }
+
+  pushBounded(history.observations, observation);
+}
+
+function inferMove(from, to, topo) {
+  const dir = DIRECTIONS.find((d) => {
+    const p = topo.step(from, d);
+    return p.x === to.x && p.y === to.y;
+  });
+  return dir ? dir.name : null;
+}
+
+function snapshotBoard(board) {
+  return {
+    width: board.width,
+    height: board.height,
+    food: board.food.map((f) => ({ ...f })),
+    hazards: (board.hazards || []).map((h) => ({ ...h })),
+    snakes: board.snakes.map((s) => ({
+      id: s.id,
+      health: s.health,
+      head: { ...s.head },
+      body: s.body.map((b) => ({ ...b })),
+    })),
+  };
+}
+
+function pushBounded(list, item) {
+  list.push(item);
+  if (list.length > MAX_HISTORY) list.shift();
+}
+
+/* -------------------- Copies for search workers -------------------- */
+
+// What the lookahead reads from a session: the opponent models, as [snake id, model] pairs.
+// Small enough to send with every search task.
+export function modelSnapshot(gameState) {
+  const session = sessions.get(sessionKey(gameState));
+  return session ? [...session.snakes].map(([id, history]) => [id, history.model]) : [];
+}
+
+// Make a snapshot this thread's session for the game, so a worker's lookahead reads the
+// same models as the main thread's would
+export function adoptModels(gameState, models, now = Date.now()) {
+  expireStaleSessions(now);
+  const key = sessionKey(gameState);
+  const session = sessions.get(key) ?? createSession(gameState, now);
+  session.lastSeenAt = now;
+  session.snakes = new Map(models.map(([id, model]) => [id, { id, model }]));
+  sessions.set(key, session);
+}
@@ -0,0 +1,1682 @@
+// Battlesnake logic (updated)
+// - Adds suffocation check (avoid moving into spaces smaller than your body)
+// - Adds choke-region detection and simulates opponents closing exits during lookahead
+// - Fixes incorrect s.length usages and cleans minor issues
+// - Opponent replies are ordered by a per-snake behaviour model learned during the game
+// - Lookahead plays turns with the official rules (rules.js) instead of its own approximation
+// - Lookahead is a recursive search, iteratively deepened until the game.timeout budget is spent
+// - Wrapped: neighbors, distances and walls come from a ruleset-selected board topology
+// - Constrictor: tails never free up, food is ignored and territory dominates scoring
+// - Royale: hazard cells are discounted in space/territory scoring, hazard damage is
+//   applied in simulated states, and moves that can't reach safe ground in time are rejected
+// - Weights, thresholds and search caps are read from config.js profiles (per ruleset or env)
+// - Every request and decision can be recorded to JSONL (RECORD_DIR) and replayed (replay.js)
+// - Logs go through logger.js, tagged with the game, turn, snake and ruleset
+// - Extra snakes named in the config get their own appearance and profile (personality())
+// - The server's move handler answers by a hard deadline with the best move so far (watchedMove())
+// - ...and spreads each search depth's candidates over a pool of worker threads (SEARCH_WORKERS)
+// - Flood fills, regions, Voronoi and collision checks read a typed-array grid built once per board (grid.js)
+// - ...which also remembers the regions, exits and Voronoi maps worked out for that position
+// - Searched positions are Zobrist-hashed and kept in a per-game transposition table
+// - A profile can swap the lookahead for Monte Carlo tree search (search.engine: "mcts", mcts.js)
+// - Opponents' replies are searched paranoid, best-reply or max-n (search.multiplayer), with
+//   no combination cut off unsearched
+
+import { availableParallelism } from 'node:os';
+import { getTopology } from './topology.js';
+import { cloneState, stepTurn, moveSnake, facing, isConstrictorRuleset as isConstrictor, hazardDamage as hazardDamagePerTurn } from './rules.js';
+import { startSession, endSession, observeTurn, recordOurMove, getSession, modelSnapshot } from './sessions.js';
+import { predictMoveProbabilities, isModelConfident } from './opponents.js';
+import { recordStart, recordMove, recordEnd } from './recorder.js';
+import { configFor, profileName, snakeAppearance } from './config.js';
+import { observeMove, observeGameStart, observeGameEnd, gameOutcome } from './metrics.js';
+import { logger, gameLogger } from './logger.js';
+import { emergencyMove } from './emergency.js';
+import { bestByDeadline } from './watchdog.js';
+import { createWorkerPool } from './pool.js';
+import { gridFor, scratchFor } from './grid.js';
+import { hashPosition, hashAfterTurn, tableKey } from './zobrist.js';
+import { createTranspositionTable } from './transpositions.js';
+import { treeSearch } from './mcts.js';
+
+// API handlers
+function info() {
+  logger.debug("info");
+  return {
+    apiversion: "1",
+    author: "Claude Code AI",
+    color: "#FF6B35",
+    head: "evil",
+    tail: "sharp",
+  };
+}
+
+// `snake` names one of the config's extra snakes when the request came in under its prefix
+function start(gameState, snake) {
+  startSession(gameState);
+  recordStart(gameState);
+  observeGameStart(gameState);
+  gameLogger(gameState).info("game start", { personality: snake, profile: profileName(gameState, snake) });
+}
+
+function end(gameState) {
+  endSession(gameState);
+  recordEnd(gameState);
+  observeGameEnd(gameState);
+  gameLogger(gameState).info("game over", { outcome: gameOutcome(gameState) });
+}
+
+// Handlers for one of the snakes under "snakes" in the config, served at /<name>/: the same
+// strategy with that snake's appearance and profile. Both are read per request, so config
+// reloads apply to them too.
+function personality(name) {
+  return {
+    info: () => ({ ...info(), ...snakeAppearance(name) }),
+    start: (gameState) => start(gameState, name),
+    move: (state) => watchedMove(state, name),
+    end: (gameState) => end(gameState),
+  };
+}
+
+/* -------------------- CONFIG / WEIGHTS -------------------- */
+// Weights, thresholds and search caps come from config.js (defaults + named profiles).
+// `profile` is the one for the game being decided; set at the top of every decideMove().
+let profile = configFor(null);
+
+const WATCHDOG_GRACE_MS = 10;
+
+// DEBUG_DECISIONS=1 logs every decision in full (see explain()) at info level; otherwise
+// each move logs one info line, plus the candidate scores at debug level
+const DEBUG_DECISIONS = !!process.env.DEBUG_DECISIONS;
+
+/* -------------------- Movement defs -------------------- */
+const moves = [
+  { name: "up", dx: 0, dy: 1 },
+  { name: "down", dx: 0, dy: -1 },
+  { name: "left", dx: -1, dy: 0 },
+  { name: "right", dx: 1, dy: 0 },
+];
+
+/* -------------------- Main move function -------------------- */
+
+function move(state, snake) {
+  const decision = decideMove(state, configFor(state, snake));
+  recordMove(state, decision); // no-op unless RECORD_DIR is set; see recorder.js
+  observeMove(state, decision);
+  return { move: decision.move };
+}
+
+// move() for the server, where a late answer is no answer: a cheap safe move comes first,
+// each finished stage (heuristic scores, every completed search depth) replaces it, and
+// when the response deadline hits the best so far is sent and the rest dropped (watchdog.js).
+// The offline engine calls move(), which runs the same stages to the end.
+async function watchedMove(state, snake) {
+  const startedAt = Date.now();
+  const settings = configFor(state, snake);
+  profile = settings;
+  // the search stops itself at searchDeadline(); the grace lets workers report that it did
+  const deadline = searchDeadline(state, startedAt) + WATCHDOG_GRACE_MS;
+  const steps = decisionSteps(state, settings, { startedAt, pool: searchPool() });
+  const { answer, finished } = await bestByDeadline(steps, deadline);
+
+  const decision = { ...answer, computeMs: Date.now() - startedAt };
+  if (!finished) {
+    decision.cutShort = true;
+    decision.notes = [...decision.notes, "response deadline hit: sent the best move so far"];
+  }
+  finishDecision(state, getSession(state), decision);
+  recordMove(state, decision);
+  observeMove(state, decision);
+  return { move: decision.move };
+}
+
+// The move plus how we got there:
+//   { move, candidates (best first), pruned, notes, depth, combos, fallback, computeMs }.
+// Every candidate carries each heuristic's raw value and its contribution to the score;
+// `pruned` lists the moves filtered out before scoring and why.
+// With the "mcts" engine, `depth` is the deepest path in the tree, `combos` the playouts, and
+// each candidate carries its `playouts` and mean reward as `score`.
+// `settings` replaces the configured profile (weight tuning plays variants side by side);
+// `dryRun` decides without touching the game's session (debug explanations).
+function decideMove(state, settings = configFor(state), { dryRun = false } = {}) {
+  const startedAt = Date.now();
+  const steps = decisionSteps(state, settings, { dryRun, startedAt });
+  let step;
+  do step = steps.next(); while (!step.done);
+  // the final stage may be an earlier one's answer (a depth cut short): time the whole thing
+  const decision = { ...step.value, computeMs: Date.now() - startedAt };
+  return finishDecision(state, dryRun ? null : getSession(state), decision, { dryRun });
+}
+
+// The decision in stages, for watchedMove(): yields a complete (if rough) decision after
+// each stage, null at checkpoints with nothing new, and returns the final one. With a worker
+// `pool` it also yields a promise per search depth, to be resumed with what it resolves to.
+// Other games may run between stages, so the shared `profile` is set again on every resume.
+function* decisionSteps(state, settings, { dryRun = false, startedAt = Date.now(), pool = null } = {}) {
+  profile = settings;
+  const board = state.board;
+  const me = state.you;
+  const topo = getTopology(state);
+  const constrictor = isConstrictor(state);
+
+  // per-game history (previous board, opponent moves, food eaten); see sessions.js
+  if (!dryRun) observeTurn(state, startedAt);
+  const pruned = [];
+  const notes = [];
+
+  // valid in-bounds moves
+  const validMoves = moves.filter((m) => {
+    if (isMoveInBounds(me.head, m, topo)) return true;
+    pruned.push({ move: m.name, stage: "bounds", reason: "off the board" });
+    return false;
+  });
+
+  // safe moves (no immediate body collision)
+  const safeMoves = validMoves.filter((m) => {
+    const hit = bodyAt(simulateHead(me.head, m, topo), board, state);
+    if (!hit) return true;
+    pruned.push({ move: m.name, stage: "collision", reason: hit.id === me.id ? "into our own body" : `into ${hit.name ?? hit.id}'s body` });
+    return false;
+  });
+
+  // fallback: if no safe moves, pick move maximizing reachable space (return object shape)
+  if (safeMoves.length === 0) {
+    const fallback = validMoves
+      .map((m) => {
+        const newHead = simulateHead(me.head, m, topo);
+        const score = floodFillScore(newHead, board, state);
+        return { move: m.name, score };
+      })
+      .sort((a, b) => b.score - a.score);
+    const chosen = fallback[0]?.move ?? validMoves[0]?.name ?? "up";
+    notes.push("no safe move: taking the one with the most reachable space");
+    return { move: chosen, candidates: fallback, pruned, notes, depth: 0, combos: 0, fallback: true, computeMs: Date.now() - startedAt };
+  }
+
+  // Filter moves with head-to-head guaranteed loss / too risky
+  const risks = new Map(safeMoves.map((m) => [m, headToHeadRisk(me, m, board, state)]));
+  const filtered = safeMoves.filter((m) => !risks.get(m));
+  const candidateMoves = filtered.length ? filtered : safeMoves;
+  for (const [m, risk] of risks) {
+    if (risk) pruned.push({ move: m.name, stage: "head-to-head", reason: risk, ...(filtered.length ? {} : { kept: true }) });
+  }
+  if (!filtered.length && pruned.some((p) => p.kept)) notes.push("every safe move risks a head-to-head: scoring them all");
+
+  // Stage 1: a safe move without scoring anything
+  const partial = (extra) => ({ pruned, notes: [...notes], combos: 0, fallback: false, computeMs: Date.now() - startedAt, ...extra });
+  const quick = emergencyMove(state);
+  yield partial({ move: candidateMoves.some((m) => m.name === quick) ? quick : candidateMoves[0].name, candidates: [], depth: 0 });
+  profile = settings;
+
+  // Stage 2: score candidates with flood-fill, voronoi, aggression, immediate food
+  const scored = [];
+  for (const m of candidateMoves) {
+    const newHead = simulateHead(me.head, m, topo);
+
+    // safe-space (flood fill)
+    const floodScore = floodFillScore(newHead, board, state);
+
+    // Enhanced body-length-aware space validation
+    let safeSpaceComponent = 0;
+    const spaceNotes = [];
+    if (floodScore < me.body.length) {
+      safeSpaceComponent = profile.weights.suffocation;
+      spaceNotes.push("less space than our length");
+    } else if (!isViableEscapeSpace(newHead, board, state, me)) {
+      // Space exists but geometry is bad for our body length
+      safeSpaceComponent = profile.weights.suffocation * 0.7; // Severe but not death penalty
+      spaceNotes.push("space too narrow to turn around in");
+    } else {
+      safeSpaceComponent = profile.weights.safeSpace * floodScore;
+    }
+
+    // Choke detection: small penalty to avoid going into narrow corridors even if not immediate suffocation
+    const choke = detectChokeRisk(me, newHead, board, state);
+    if (choke && safeSpaceComponent !== profile.weights.suffocation) {
+      // only apply this extra penalty if not already replaced by the suffocation penalty
+      safeSpaceComponent -= profile.weights.choke;
+      spaceNotes.push("choke point");
+    }
+
+    const voronoiScore = voronoiControlScore(newHead, board, state, me.id);
+    const aggressionBonus = aggressionHeuristic(m, state, me);
+
+    // Health-aware food seeking (constrictor has no food and health never drops)
+    const immediateEat = !constrictor && board.food.some((f) => f.x === newHead.x && f.y === newHead.y) ? profile.weights.food : 0;
+    const healthBonus = constrictor ? 0 : calculateHealthBonus(me, newHead, board, topo);
+    const wallHugBonus = calculateWallHugBonus(newHead, topo);
+    const tailChaseBonus = calculateTailChaseBonus(me, newHead, board, state);
+    const trapPenalty = detectAdvancedTrap(newHead, board, state, me);
+
+    const nearestFoodDist = nearestFoodDistance(newHead, board, topo);
+    const towardFoodBonus = !constrictor && shouldSeekFood(me) ? Math.max(0, 10 - nearestFoodDist) : 0;
+
+    // 1v1 endgame adjustment
+    const endgameBonus = calculateEndgameBonus(state, newHead, me);
+
+    // Royale: health drain and "can I get back out of the sauce" check
+    const hazardComponent = calculateHazardPenalty(me, newHead, board, state);
+
+    // raw: what the heuristic measured; value: what it adds to the score
+    const heuristics = {
+      safeSpace: { raw: floodScore, value: safeSpaceComponent, ...(spaceNotes.length ? { notes: spaceNotes } : {}) },
+      voronoi: { raw: voronoiScore, weight: voronoiWeight(state), value: voronoiWeight(state) * voronoiScore },
+      aggression: { value: aggressionBonus },
+      immediateEat: { raw: immediateEat > 0, value: immediateEat },
+      towardFood: { raw: nearestFoodDist, value: towardFoodBonus },
+      health: { raw: me.health, value: healthBonus },
+      wallHug: { raw: topo.wallCount(newHead), value: wallHugBonus },
+      tailChase: { value: tailChaseBonus },
+      trap: { value: trapPenalty },
+      endgame: { value: endgameBonus },
+      hazard: { value: hazardComponent },
+    };
+    const heuristicScore = Object.values(heuristics).reduce((sum, h) => sum + h.value, 0);
+
+    scored.push({ move: m.name, heuristicScore, heuristics });
+    yield null; // checkpoint: one candidate's heuristics can take a while on a big board
+    profile = settings;
+  }
+
+  // Stage 3+: lookahead, deepened until the time budget runs out; each completed depth
+  // re-ranks the candidates
+  const ranked = (search) => {
+    const candidates = scored.map((entry) => {
+      const lookaheadScore = search.scores.get(entry.move) ?? 0;
+      return { ...entry, lookaheadScore, totalScore: entry.heuristicScore + lookaheadScore };
+    });
+    candidates.sort((a, b) => b.totalScore - a.totalScore);
+    return partial({ move: candidates[0].move, candidates, depth: search.depth, combos: search.combos });
+  };
+  let decision = ranked({ scores: new Map(), depth: 0, combos: 0 });
+  yield decision;
+  profile = settings;
+
+  const deadline = searchDeadline(state, startedAt);
+  if (profile.search.engine === "mcts") {
+    // candidates ranked by how often the tree search played them; score is their mean reward
+    const ourMoves = candidateMoves.map((m) => m.name);
+    for (const search of treeSearch(state, ourMoves, { deadline, settings: profile.mcts, evaluate: territoryShares })) {
+      if (!search.iterations) continue;
+      const candidates = search.moves.map(({ move, visits, reward }) => ({
+        ...scored.find((entry) => entry.move === move), playouts: visits, score: reward,
+      }));
+      decision = partial({ move: candidates[0].move, candidates, depth: search.depth, combos: search.iterations, engine: "mcts" });
+      yield decision;
+      profile = settings;
+    }
+    return decision;
+  }
+
+  // Paranoid search grows with the product of the opponents' replies, so with many snakes
+  // it may not finish even depth 1. It gets the first half of the time for that; if it
+  // doesn't make it, the rest goes to best-reply, which grows with their sum.
+  let firstDepthBy = settings.search.multiplayer === "paranoid" && board.snakes.length > 2
+    ? Date.now() + (deadline - Date.now()) / 2
+    : deadline;
+  const fallBackToBestReply = () => {
+    if (firstDepthBy === deadline || decision.depth > 0 || Date.now() >= deadline) return false;
+    settings = { ...settings, search: { ...settings.search, multiplayer: "best-reply" } };
+    profile = settings;
+    firstDepthBy = deadline;
+    notes.push("paranoid search didn't finish depth 1 in half the time: searched best-reply instead");
+    return true;
+  };
+
+  if (!pool) {
+    const deepen = () => iterativeDeepeningSearch(state, candidateMoves, deadline, dryRun ? null : transpositionTable(state), firstDepthBy);
+    let searches = deepen();
+    for (;;) {
+      for (const search of searches) {
+        decision = ranked(search);
+        yield decision;
+        profile = settings;
+      }
+      if (!fallBackToBestReply()) return decision;
+      searches = deepen();
+    }
+  }
+
+  const cancel = new AbortController();
+  try {
+    let combos = 0;
+    for (let d = 1; d <= profile.search.maxDepth && Date.now() < deadline; d++) {
+      const by = d === 1 ? firstDepthBy : deadline;
+      const search = yield searchDepthInWorkers(pool, state, candidateMoves, d, by, cancel.signal);
+      profile = settings;
+      if (!search && fallBackToBestReply()) {
+        d--; // depth 1 again
+        continue;
+      }
+      if (!search) break;
+      combos += search.combos;
+      decision = ranked({ scores: search.scores, depth: d, combos });
+      yield decision;
+      profile = settings;
+    }
+  } finally {
+    cancel.abort(); // the watchdog gave up on us: drop the tasks that haven't started
+  }
+  return decision;
+}
+
+// Log the decision and remember our move for next turn's opponent observations.
+// A dry run played nothing, so it's only logged at debug and never as a "move".
+function finishDecision(state, session, decision, { dryRun = false } = {}) {
+  const log = gameLogger(state);
+  if (dryRun) {
+    log.debug("dry run", { move: decision.move, depth: decision.depth, ms: decision.computeMs });
+  } else if (DEBUG_DECISIONS) {
+    log.info("decision", { decision });
+  } else {
+    log.info("move", {
+      move: decision.move, depth: decision.depth, ms: decision.computeMs,
+      fallback: decision.fallback || undefined, cutShort: decision.cutShort,
+    });
+    if (log.isEnabled("debug")) {
+      const scores = decision.candidates.map((c) => `${c.move} ${(c.totalScore ?? c.score).toFixed(1)}`);
+      log.debug("move scores", { scores });
+    }
+  }
+  if (session) recordOurMove(session, state, decision.move, decision.computeMs);
+  return decision;
+}
+
+// The full decision for a board, without playing it: nothing is recorded and the game's
+// session (opponent models) is only read. Served by POST /debug/explain, so it's searched
+// like a move (in stages, on the workers) and never for longer than defaultTimeoutMs,
+// whatever game.timeout the request asks for.
+async function explain(state) {
+  const startedAt = Date.now();
+  const settings = configFor(state);
+  profile = settings;
+  const timeout = Math.min(Number(state.game.timeout) || Infinity, settings.search.defaultTimeoutMs);
+  state = { ...state, game: { ...state.game, timeout } };
+  const deadline = searchDeadline(state, startedAt) + WATCHDOG_GRACE_MS;
+  const steps = decisionSteps(state, settings, { dryRun: true, startedAt, pool: searchPool() });
+  const { answer, finished } = await bestByDeadline(steps, deadline);
+
+  const decision = { ...answer, computeMs: Date.now() - startedAt };
+  if (!finished) {
+    decision.cutShort = true;
+    decision.notes = [...decision.notes, "response deadline hit: sent the best move so far"];
+  }
+  return { turn: state.turn, profile: profileName(state), timeout, ...finishDecision(state, null, decision, { dryRun: true }) };
+}
+
+// What the heuristics see, cell by cell, for the board visualizer (GET /debug/viz):
+//   voronoi: [{ x, y, owner }]  owner is a snake id, or null where heads tie
+//   moves:   [{ move, flood: [cells], flood score, region: [cells], exits: [cells], choke }]
+//            per move that's on the board and not into a body
+function analyze(state) {
+  profile = configFor(state);
+  const board = state.board;
+  const me = state.you;
+  const topo = getTopology(state);
+  const grid = gridFor(board, state);
+
+  const sources = board.snakes.map((s) => ({ id: s.id, head: s.head }));
+  const { owner, tied } = voronoiDistances(sources, board, state);
+  const voronoi = [];
+  for (let x = 0; x < board.width; x++) {
+    for (let y = 0; y < board.height; y++) {
+      const c = grid.index({ x, y });
+      if (owner[c] !== NO_OWNER) voronoi.push({ x, y, owner: tied[c] ? null : sources[owner[c]].id });
+    }
+  }
+
+  const analyzed = moves
+    .filter((m) => isMoveInBounds(me.head, m, topo))
+    .filter((m) => !collidesWithBodies(simulateHead(me.head, m, topo), board, state))
+    .map((m) => {
+      const head = simulateHead(me.head, m, topo);
+      const { region, exits } = findRegionAndExits(head, board, state);
+      return {
+        move: m.name,
+        flood: floodFillDetailed(head, board, state).cells.map((c) => topo.normalize(c)),
+        floodScore: floodFillScore(head, board, state),
+        region: region.map(grid.point),
+        exits: exits.map(grid.point),
+        choke: detectChokeRisk(me, head, board, state),
+      };
+    });
+
+  return { voronoi, moves: analyzed };
+}
+
+/* -------------------- Ruleset helpers -------------------- */
+
+function voronoiWeight(state) {
+  const { voronoi, constrictorVoronoiMultiplier } = profile.weights;
+  return isConstrictor(state) ? voronoi * constrictorVoronoiMultiplier : voronoi;
+}
+
+/* -------------------- Utilities: positions & collisions -------------------- */
+
+function pointEq(a, b) {
+  return a && b && a.x === b.x && a.y === b.y;
+}
+
+function simulateHead(head, move, topo) {
+  return topo.step(head, move);
+}
+
+function isMoveInBounds(head, move, topo) {
+  return topo.inBounds(simulateHead(head, move, topo));
+}
+
+function collidesWithBodies(p, board, state) {
+  return bodyAt(p, board, state) !== null;
+}
+
+// The snake whose body will still be on p next turn, or null. Bodies count as occupied
+// except tails that will move away (see grid.js).
+function bodyAt(p, board, state) {
+  const grid = gridFor(board, state);
+  if (!grid.inBounds(p)) return null;
+  const i = grid.snakeAt[grid.index(p)];
+  return i === -1 ? null : board.snakes[i];
+}
+
+function isCellFree(p, board, topo) {
+  if (!p) return false;
+  if (!topo.inBounds(p)) return false;
+  for (const s of board.snakes) {
+    for (const b of s.body) {
+      if (b.x === p.x && b.y === p.y) return false;
+    }
+  }
+  return true;
+}
+
+/* -------------------- Flood Fill: reachable space -------------------- */
+
+function floodFillScore(start, board, state) {
+  // start: {x,y}; cells still blocked next turn are walls (see grid.js)
+  const grid = gridFor(board, state);
+  if (!grid.inBounds(start)) return 0;
+  const first = grid.index(start);
+  if (grid.blocked[first]) return 0;
+
+  // hazard cells still count as space, but discounted (staying there costs health)
+  const { cells, hazardCells } = openRegion(grid, first);
+  return cells - hazardCells + hazardCells * profile.weights.hazardSpace;
+}
+
+// The free region around cell `first` as { cells, hazardCells }. Any start inside a region
+// gets the same answer, so a board's regions are filled once and their cells labelled.
+function openRegion(grid, first) {
+  const memo = (grid.memo.open ??= { label: new Int32Array(grid.size).fill(-1), regions: [] });
+  if (memo.label[first] !== -1) return memo.regions[memo.label[first]];
+
+  const { neighbors, blocked, hazardStacks, hasHazards } = grid;
+  const id = memo.regions.length;
+  const { queue } = scratchFor(grid);
+  memo.label[first] = id;
+  queue.push(first);
+  let cells = 0, hazardCells = 0;
+  while (queue.length) {
+    const c = queue.shift();
+    cells++;
+    if (hasHazards && hazardStacks[c]) hazardCells++;
+    for (let k = 0; k < 4; k++) {
+      const n = neighbors[c * 4 + k];
+      if (n === -1 || memo.label[n] !== -1 || blocked[n]) continue;
+      memo.label[n] = id;
+      queue.push(n);
+    }
+  }
+  memo.regions.push({ cells, hazardCells });
+  return memo.regions[id];
+}
+
+function spaceAroundHead(snake, board, state) {
+  // the head cell itself is occupied, so measure from the roomiest free neighbor
+  const topo = getTopology(state);
+  let best = 0;
+  for (const m of moves) {
+    const p = simulateHead(snake.head, m, topo);
+    if (!topo.inBounds(p)) continue;
+    best = Math.max(best, floodFillScore(p, board, state));
+  }
+  return best;
+}
+
+/* -------------------- Region & Exit detection for chokes -------------------- */
+
+function findRegionAndExits(start, board, state) {
+  // Returns { region: [cell], exits: [cell] } as grid cell indices (grid.point() converts).
+  // Every body segment, tails included, is a wall here. The arrays are shared by every
+  // start in the same region (see openRegion()); don't modify them.
+  const grid = gridFor(board, state);
+  if (!grid.inBounds(start)) return { region: [], exits: [] };
+  const { neighbors, body } = grid;
+  const first = grid.index(start);
+
+  // a start on a body cell joins the regions around it, so that one isn't shared
+  const memo = (grid.memo.regions ??= { label: new Int32Array(grid.size).fill(-1), regions: [] });
+  if (memo.label[first] !== -1) return memo.regions[memo.label[first]];
+
+  const { seen, stamp } = scratchFor(grid);
+  const region = [first]; // doubles as the BFS queue
+  seen[first] = stamp;
+  for (let i = 0; i < region.length; i++) {
+    const c = region[i];
+    for (let k = 0; k < 4; k++) {
+      const n = neighbors[c * 4 + k];
+      // out-of-bounds isn't an exit tile
+      if (n === -1 || body[n] || seen[n] === stamp) continue;
+      seen[n] = stamp;
+      region.push(n);
+    }
+  }
+
+  // compute exits: tiles adjacent to region that are free and lead outside region
+  const exits = [];
+  for (const c of region) {
+    for (let k = 0; k < 4; k++) {
+      const n = neighbors[c * 4 + k];
+      if (n === -1 || seen[n] === stamp || body[n]) continue;
+      if (!exits.includes(n)) exits.push(n);
+    }
+  }
+
+  const found = { region, exits };
+  if (!body[first]) {
+    for (const c of region) memo.label[c] = memo.regions.length;
+    memo.regions.push(found);
+  }
+  return found;
+}
+
+/* -------------------- Voronoi control -------------------- */
+
+function voronoiControlScore(myNewHead, board, state, myId) {
+  const grid = gridFor(board, state);
+  const sources = board.snakes.map((s) => ({
+    id: s.id,
+    head: s.id === myId ? myNewHead : s.head,
+  }));
+  const hazardSpace = profile.weights.hazardSpace;
+  const mine = sources.findIndex((s) => s.id === myId);
+  const memo = (grid.memo.territory ??= new Map());
+  const key = `${headsKey(sources)}/${mine}/${hazardSpace}`;
+  if (memo.has(key)) return memo.get(key);
+
+  const { owner, tied } = voronoiDistances(sources, board, state);
+  const { body, hazardStacks, hasHazards } = grid;
+
+  let myTerr = 0;
+  let totalTerr = 0;
+  for (let x = 0; x < grid.width; x++) {
+    for (let y = 0; y < grid.height; y++) {
+      const c = y * grid.width + x;
+      if (body[c] || owner[c] === NO_OWNER) continue;
+      const weight = hasHazards && hazardStacks[c] ? hazardSpace : 1;
+      totalTerr += weight;
+      if (!tied[c] && owner[c] === mine) myTerr += weight;
+    }
+  }
+
+  const myShare = totalTerr > 0 ? myTerr / totalTerr : 0;
+  memo.set(key, myShare * 100);
+  return myShare * 100;
+}
+
+// Every living snake's share of the territory, as voronoiControlScore() counts it, for
+// scoring MCTS rollouts: snake id -> 0..1
+function territoryShares(state) {
+  const board = state.board;
+  const grid = gridFor(board, state);
+  const sources = board.snakes.map((s) => ({ id: s.id, head: s.head }));
+  const { owner, tied } = voronoiDistances(sources, board, state);
+  const { body, hazardStacks, hasHazards } = grid;
+  const hazardSpace = profile.weights.hazardSpace;
+
+  const owned = new Float64Array(sources.length);
+  let total = 0;
+  for (let c = 0; c < grid.size; c++) {
+    if (body[c] || owner[c] === NO_OWNER) continue;
+    const weight = hasHazards && hazardStacks[c] ? hazardSpace : 1;
+    total += weight;
+    if (!tied[c]) owned[owner[c]] += weight;
+  }
+  return new Map(sources.map((s, i) => [s.id, total > 0 ? owned[i] / total : 0]));
+}
+
+const NO_OWNER = -1;
+
+// Multi-source BFS through everything (bodies included): for every cell, the distance to the
+// nearest head and whose head that is, as typed arrays indexed by grid cell:
+//   distance  steps from the nearest head (-1: unreached)
+//   owner     index into `sources` of the first head to get there (NO_OWNER: unreached)
+//   tied      1 if another head is just as close
+// Remembered per board and set of heads; the arrays are shared, so don't modify them.
+function voronoiDistances(sources, board, state) {
+  const grid = gridFor(board, state);
+  const memo = (grid.memo.voronoi ??= new Map());
+  const key = headsKey(sources);
+  if (memo.has(key)) return memo.get(key);
+
+  const { neighbors } = grid;
+  const distance = new Int32Array(grid.size).fill(-1);
+  const owner = new Int16Array(grid.size).fill(NO_OWNER);
+  const tied = new Uint8Array(grid.size);
+
+  // queue entries pack (cell, source) into one int
+  const n = sources.length;
+  const { queue } = scratchFor(grid);
+  sources.forEach((src, si) => {
+    if (!grid.inBounds(src.head)) return;
+    const c = grid.index(src.head);
+    distance[c] = 0;
+    owner[c] = si;
+    tied[c] = 0;
+    queue.push(c * n + si);
+  });
+
+  while (queue.length) {
+    const entry = queue.shift();
+    const c = Math.floor(entry / n), si = entry % n;
+    const nd = distance[c] + 1;
+    for (let k = 0; k < 4; k++) {
+      const next = neighbors[c * 4 + k];
+      if (next === -1) continue;
+      if (distance[next] === -1 || nd < distance[next]) {
+        distance[next] = nd;
+        owner[next] = si;
+        tied[next] = 0;
+        queue.push(next * n + si);
+      } else if (nd === distance[next] && owner[next] !== si) {
+        tied[next] = 1;
+      }
+    }
+  }
+  memo.set(key, { distance, owner, tied });
+  return memo.get(key);
+}
+
+const headsKey = (sources) => sources.map((s) => `${s.head.x},${s.head.y}`).join(" ");
+
+/* -------------------- Head-to-head safety -------------------- */
+
+// Why a move risks losing a head-to-head, or null when it doesn't
+function headToHeadRisk(me, move, board, state) {
+  const topo = getTopology(state);
+  const newHead = simulateHead(me.head, move, topo);
+  for (const s of board.snakes) {
+    if (s.id === me.id) continue;
+    const name = s.name ?? s.id;
+    const dist = topo.distance(s.head, newHead);
+    if (dist === 0) return `onto ${name}'s head`;
+    if (dist === 1) {
+      // use body length consistently (s.length might not exist)
+      if (s.body.length >= me.body.length) {
+        // only a loss if they take the trade; a rival we've watched shy away from
+        // contested cells is allowed to be stood next to
+        if (!unlikelyToContest(s, newHead, board, state, topo)) {
+          return `${name} (length ${s.body.length}, ours ${me.body.length}) can take the same cell`;
+        }
+        continue;
+      }
+      const hasEscape = moves.some((m) => {
+        const p = simulateHead(newHead, m, topo);
+        if (p.x === s.head.x && p.y === s.head.y) return false;
+        return isCellFree(p, board, topo);
+      });
+      if (!hasEscape) return `next to ${name} with no way out`;
+    }
+  }
+  return null;
+}
+
+function opponentModel(state, snakeId) {
+  return getSession(state)?.snakes.get(snakeId)?.model;
+}
+
+function unlikelyToContest(opponent, cell, board, state, topo) {
+  const model = opponentModel(state, opponent.id);
+  if (!isModelConfident(model)) return false;
+  const into = moves.find((m) => pointEq(simulateHead(opponent.head, m, topo), cell));
+  if (!into) return true;
+  const probabilities = predictMoveProbabilities(model, board, opponent, topo);
+  return (probabilities[into.name] ?? 0) < profile.opponents.headToHeadRiskTolerance;
+}
+
+/* -------------------- Time budget -------------------- */
+
+function searchDeadline(state, startedAt) {
+  const timeout = Number(state.game?.timeout) || profile.search.defaultTimeoutMs;
+  let budget = timeout - profile.search.safetyMarginMs;
+
+  // you.latency is last turn's round trip as seen by the engine, our own compute included;
+  // if what's left of it (the network) outgrew the safety margin, give the difference back
+  const latency = Number(state.you?.latency) || 0;
+  const computed = getSession(state)?.ourPreviousComputeMs;
+  if (latency && computed != null) {
+    const network = latency - computed;
+    if (network > profile.search.safetyMarginMs) budget -= network - profile.search.safetyMarginMs;
+  }
+
+  return startedAt + Math.max(profile.search.minSearchMs, budget);
+}
+
+/* -------------------- Iterative deepening search -------------------- */
+
+// Thrown from inside the search when the deadline passes; unwinds the current depth
+const SEARCH_TIMEOUT = new Error("search deadline reached");
+let combosEvaluated = 0; // opponent reply combinations played out by the current search
+let transpositions = null; // the current search's transposition table, if it has one
+
+function* iterativeDeepeningSearch(state, candidateMoves, deadline, table = null, firstDepthBy = deadline) {
+  // Yields lookahead scores (move name -> score) for every depth that finishes in time, as
+  // { scores, depth, combos }. A depth cut short by the deadline is thrown away, never mixed
+  // with the previous one. Depth 1 has to finish by `firstDepthBy`, or nothing is yielded.
+  let order = candidateMoves.slice();
+  let combos = 0;
+
+  for (let d = 1; d <= profile.search.maxDepth; d++) {
+    const scores = new Map();
+    // one depth runs without interruption, so the counter and the table are ours
+    combosEvaluated = 0;
+    transpositions = table;
+    try {
+      for (const m of order) {
+        scores.set(m.name, minimaxEvaluateMove(m, state, d, d === 1 ? firstDepthBy : deadline));
+      }
+    } catch (e) {
+      if (e === SEARCH_TIMEOUT) break;
+      throw e;
+    } finally {
+      combos += combosEvaluated;
+    }
+    yield { scores, depth: d, combos };
+
+    // search the most promising move first next time round
+    order = order.slice().sort((a, b) => scores.get(b.name) - scores.get(a.name));
+    if (Date.now() >= deadline) break;
+  }
+}
+
+/* -------------------- Search workers -------------------- */
+
+// SEARCH_WORKERS=<n> worker threads run the server's lookahead (watchedMove()), keeping the
+// main thread free for other games; by default one per core but the main thread's, and 0
+// (a single core) searches on the main thread. move()/decideMove() never use them.
+const SEARCH_WORKER_FILE = new URL("./search-worker.js", import.meta.url);
+let searchWorkers = workerCount(process.env.SEARCH_WORKERS);
+let workerPool = null;
+
+function workerCount(setting) {
+  if (setting === undefined || setting === "") return Math.max(0, availableParallelism() - 1);
+  const count = Number(setting);
+  if (Number.isInteger(count) && count >= 0) return count;
+  logger.warn(`invalid SEARCH_WORKERS "${setting}", searching on the main thread`);
+  return 0;
+}
+
+// Started by the server at startup (startSearchWorkers()) or else on first use; the offline
+// tools never spawn threads
+function searchPool() {
+  if (!workerPool && searchWorkers > 0) {
+    workerPool = createWorkerPool(SEARCH_WORKER_FILE, searchWorkers);
+    logger.info("search workers started", { count: searchWorkers });
+  }
+  return workerPool;
+}
+
+function startSearchWorkers() {
+  searchPool();
+}
+
+async function setSearchWorkers(count) {
+  const old = workerPool;
+  workerPool = null;
+  searchWorkers = count;
+  await old?.close();
+}
+
+// One depth of iterativeDeepeningSearch() with the candidates spread over the pool.
+// Resolves to { scores, combos }, or null when a candidate ran out of time or a worker failed.
+function searchDepthInWorkers(pool, state, candidateMoves, depth, deadline, signal) {
+  const models = modelSnapshot(state);
+  const runs = candidateMoves.map((m) => pool.run({ state, settings: profile, models, move: m.name, depth, deadline }, signal));
+  return Promise.all(runs).then(
+    (results) => results.some((r) => r.timedOut) ? null : {
+      scores: new Map(candidateMoves.map((m, i) => [m.name, results[i].score])),
+      combos: results.reduce((sum, r) => sum + r.combos, 0),
+    },
+    (e) => {
+      if (!signal.aborted) gameLogger(state).error("search worker failed", { error: e });
+      return null;
+    },
+  );
+}
+
+// What a search worker runs: one candidate's lookahead at one depth.
+// { score, combos }, or { timedOut: true } if the deadline passed first.
+function lookahead(state, settings, moveName, depth, deadline) {
+  profile = settings;
+  combosEvaluated = 0;
+  transpositions = transpositionTable(state);
+  try {
+    return { score: minimaxEvaluateMove({ name: moveName }, state, depth, deadline), combos: combosEvaluated };
+  } catch (e) {
+    if (e === SEARCH_TIMEOUT) return { timedOut: true };
+    throw e;
+  }
+}
+
+/* -------------------- Transposition table -------------------- */
+
+// The game's table of searched positions (transpositions.js, zobrist.js): what searchMove()
+// scored each of our moves at each depth, and each position's best reply. It lives in the
+// session so the next turn's search starts from this one's results, and starts over when
+// the settings change (search.multiplayer aside: entries record that, see searchBasis()).
+function transpositionTable(state) {
+  const capacity = profile.search.transpositionEntries;
+  const session = getSession(state);
+  if (!session || capacity === 0) return null;
+  const { multiplayer, ...search } = profile.search;
+  const signature = JSON.stringify({ ...profile, search });
+  if (session.transpositionSettings !== signature) {
+    session.transpositions = createTranspositionTable(capacity);
+    session.transpositionSettings = signature;
+  }
+  return session.transpositions;
+}
+
+// Health above the search horizon hashes as one value (see hashPosition()), except where
+// hazards make every point count
+function healthCap(state) {
+  const hazards = hazardDamagePerTurn(state) > 0 && state.board.hazards?.length > 0;
+  return hazards ? Infinity : profile.search.maxDepth + 1;
+}
+
+const BEST_REPLY = moves.length; // table slot for a position's best reply, after the moves'
+
+// What a table entry's score depends on besides the position: how replies are searched, and
+// the models of the opponents still on the board, which decide the replies searched there
+// and below. A model only changes by observing a move, so its observation count stands for
+// it. A score is reused only where this matches; models learn most turns, so across turns
+// that's mostly positions whose opponents' models didn't.
+function searchBasis(state, myId) {
+  let basis = profile.search.multiplayer;
+  for (const s of state.board.snakes) {
+    if (s.id !== myId) basis += ` ${s.id}:${opponentModel(state, s.id)?.observed ?? 0}`;
+  }
+  return basis;
+}
+
+/* -------------------- Minimax-style lookahead (with choke simulation) -------------------- */
+
+function minimaxEvaluateMove(moveObj, state, maxDepth, deadline = Infinity) {
+  try {
+    const myMove = moves.find((mv) => mv.name === moveObj.name);
+    if (!myMove) return 0;
+    if (profile.search.multiplayer === "max-n" && state.board.snakes.length > 1) {
+      return maxnMove(state, state.you.id, myMove, maxDepth, deadline).get(state.you.id);
+    }
+    const hash = transpositions ? hashPosition(state.board, healthCap(state)) : null;
+    const score = searchMove(cloneState(state), state.you.id, myMove, maxDepth, deadline, -Infinity, hash);
+    return score === Infinity ? -9999 : score;
+  } catch (e) {
+    if (e === SEARCH_TIMEOUT) throw e;
+    gameLogger(state).error("minimax error", { move: moveObj.name, error: e });
+    return 0;
+  }
+}
+
+// Worst case, over the opponents' likely replies (see opponentReplies()), of us playing
+// `myMove` in `state`.
+// With depth > 1 each branch continues with our best follow-up move (depth counts our moves).
+// `alpha` is the best score a sibling move already has: once a reply pushes this move down
+// to it, the move can't be the best one and the rest of its replies are skipped (the score
+// returned is then only an upper bound). `hash` is the position's (zobrist.js), to use the
+// transposition table with.
+function searchMove(state, myId, myMove, depth, deadline, alpha = -Infinity, hash = null) {
+  if (Date.now() > deadline) throw SEARCH_TIMEOUT;
+
+  const key = hash && tableKey(hash, depth * 8 + moves.indexOf(myMove));
+  const basis = key !== null ? searchBasis(state, myId) : null;
+  if (key !== null) {
+    const known = transpositions.get(key);
+    if (known?.basis === basis && (known.exact || known.score <= alpha)) return known.score;
+  }
+
+  // peek at our move on its own: which region we're heading into, what the opponents can reply
+  const rootState = cloneState(state);
+  const topo = getTopology(rootState);
+  const mySnakeOrig = rootState.board.snakes.find((s) => s.id === myId);
+  if (!mySnakeOrig) return profile.weights.death;
+  const myOrigLen = mySnakeOrig.body.length;
+  const myNewHead = simulateHead(mySnakeOrig.head, myMove, topo);
+
+  moveSnake(mySnakeOrig, myMove, topo);
+
+  // find region/exits for our new head (pre-opponent moves)
+  const { exits: rootExits } = findRegionAndExits(myNewHead, rootState.board, rootState);
+
+  const opponents = rootState.board.snakes.filter((s) => s.id !== myId);
+  const combos = opponentReplies(replyChoices(rootState, opponents, topo));
+
+  let worstScore = Infinity;
+
+  for (const combo of combos) {
+    if (Date.now() > deadline) throw SEARCH_TIMEOUT;
+    combosEvaluated++;
+
+    // Check if any opponent is moving into rootExits (blocked)
+    let closedByOpponent = false;
+    if (rootExits.length > 0) {
+      closedByOpponent = opponents.some((opp, i) => {
+        const head = simulateHead(opp.head, moves.find((mv) => mv.name === combo[i]), topo);
+        return topo.inBounds(head) && rootExits.includes(head.y * rootState.board.width + head.x);
+      });
+    }
+
+    // play the whole turn by the rules and count the opponents we eliminated
+    const simState = cloneState(state);
+    const chosen = new Map([[myId, myMove.name]]);
+    opponents.forEach((opp, i) => chosen.set(opp.id, combo[i]));
+    const eliminated = stepTurn(simState, chosen);
+    const killsByUs = eliminated.filter((e) => e.id !== myId && e.by === myId).length;
+
+    // detect if we ate food in this branch
+    const ourAfter = simState.board.snakes.find((s) => s.id === myId);
+    let ateFoodThisBranch = false;
+    if (ourAfter) {
+      if (ourAfter.body.length > myOrigLen) ateFoodThisBranch = true;
+    }
+
+    // evaluate base: leaf evaluation, or our best follow-up one level deeper
+    let baseScore;
+    if (!ourAfter) {
+      baseScore = profile.weights.death;
+    } else if (depth <= 1) {
+      baseScore = evaluateStateForMe(simState, myId);
+    } else {
+      const ourValid = moves.filter((m) => isMoveInBounds(ourAfter.head, m, topo));
+      const ourSafe = ourValid.filter((m) => !collidesWithBodies(simulateHead(ourAfter.head, m, topo), simState.board, simState));
+      if (ourSafe.length === 0) {
+        baseScore = evaluateStateForMe(simState, myId);
+      } else {
+        const simHash = hash && hashAfterTurn(hash, state.board, simState.board, healthCap(state));
+        baseScore = bestReply(simState, myId, ourSafe, depth - 1, deadline, simHash);
+      }
+    }
+
+    // add food & kill rewards (everyone grows every turn in constrictor, so no food reward there)
+    let branchScore = baseScore;
+    if (ateFoodThisBranch && !isConstrictor(simState)) branchScore += profile.weights.food;
+    if (killsByUs > 0) branchScore += profile.weights.kill * killsByUs;
+
+    // If opponent closed an exit that belonged to our initial region, recompute reachable area now
+    if (closedByOpponent && ourAfter) {
+      const safeSpaceAfter = spaceAroundHead(ourAfter, simState.board, simState);
+      if (safeSpaceAfter < ourAfter.body.length) {
+        // opponent effectively trapped us -> heavy penalty for this branch
+        branchScore = profile.weights.suffocation;
+      } else {
+        // reduce score because opponent tried to close us but we still have room
+        branchScore -= profile.weights.choke / 2;
+      }
+    } else {
+      // even if not closed by opponent, check suffocation normally
+      if (ourAfter) {
+        const safeSpaceAfter = spaceAroundHead(ourAfter, simState.board, simState);
+        if (safeSpaceAfter < ourAfter.body.length) {
+          branchScore = profile.weights.suffocation;
+        }
+      }
+    }
+
+    if (branchScore < worstScore) worstScore = branchScore;
+    if (worstScore <= alpha) {
+      if (key !== null) transpositions.set(key, { score: worstScore, exact: false, basis });
+      return worstScore;
+    }
+  }
+
+  if (key !== null) transpositions.set(key, { score: worstScore, exact: true, basis });
+  return worstScore;
+}
+
+// Our best score over `ourMoves` in `state`. The move that was best before goes first (at
+// this depth under other models, or a depth shallower): the higher the score to beat, the
+// sooner the others are cut off.
+function bestReply(state, myId, ourMoves, depth, deadline, hash) {
+  const key = hash && tableKey(hash, depth * 8 + BEST_REPLY);
+  const basis = key !== null ? searchBasis(state, myId) : null;
+  if (key !== null) {
+    const known = transpositions.get(key);
+    if (known?.basis === basis) return known.score;
+    const before = known ?? transpositions.get(tableKey(hash, (depth - 1) * 8 + BEST_REPLY));
+    if (before) ourMoves = [...ourMoves].sort((a, b) => (b.name === before.move) - (a.name === before.move));
+  }
+
+  let best = -Infinity, bestMove = null;
+  for (const m of ourMoves) {
+    const sc = searchMove(state, myId, m, depth, deadline, best, hash);
+    if (sc > best) {
+      best = sc;
+      bestMove = m.name;
+    }
+  }
+  if (key !== null) transpositions.set(key, { score: best, move: bestMove, basis });
+  return best;
+}
+
+/* -------------------- Max-n lookahead -------------------- */
+
+// search.multiplayer "max-n": every snake plays for itself. A node is worth one score per
+// snake, and whoever moves picks the option whose scores are best for it, ignoring the rest.
+// Within a turn we commit first, then the opponents reply in board order, each one aware of
+// the replies before its own. Each snake's score is evaluateStateForMe() from its own side,
+// plus its food and kills along the way. Returns snake id -> score after our `myMove`.
+function maxnMove(state, myId, myMove, depth, deadline) {
+  const rootState = cloneState(state);
+  const topo = getTopology(rootState);
+  const me = rootState.board.snakes.find((s) => s.id === myId);
+  moveSnake(me, myMove, topo);
+  const opponents = rootState.board.snakes.filter((s) => s.id !== myId);
+  const joint = new Map([[myId, myMove.name]]);
+  return maxnReplies(state, myId, opponents, replyChoices(rootState, opponents, topo), joint, depth, deadline);
+}
+
+// `joint` holds our move and the replies chosen so far; the next opponent picks its reply
+// knowing them, and so on down the list. Returns the scores of the line that gets played.
+function maxnReplies(state, myId, opponents, options, joint, depth, deadline) {
+  const i = joint.size - 1;
+  if (i === opponents.length) return maxnTurn(state, myId, joint, depth, deadline);
+  const mover = opponents[i].id;
+  let best = null;
+  for (const reply of options[i]) {
+    joint.set(mover, reply);
+    const scores = maxnReplies(state, myId, opponents, options, joint, depth, deadline);
+    if (!best || scores.get(mover) > best.get(mover)) best = scores;
+  }
+  joint.delete(mover);
+  return best;
+}
+
+// Play the joint move; score it for every snake that was on the board
+function maxnTurn(state, myId, joint, depth, deadline) {
+  if (Date.now() > deadline) throw SEARCH_TIMEOUT;
+  combosEvaluated++;
+  const simState = cloneState(state);
+  const eliminated = stepTurn(simState, new Map(joint));
+  const topo = getTopology(simState);
+
+  // deeper: our best follow-up, by our own score
+  let later = null;
+  const ourAfter = simState.board.snakes.find((s) => s.id === myId);
+  if (ourAfter && depth > 1 && simState.board.snakes.length > 1) {
+    const ourSafe = moves
+      .filter((m) => isMoveInBounds(ourAfter.head, m, topo))
+      .filter((m) => !collidesWithBodies(simulateHead(ourAfter.head, m, topo), simState.board, simState));
+    for (const m of ourSafe) {
+      const scores = maxnMove(simState, myId, m, depth - 1, deadline);
+      if (!later || scores.get(myId) > later.get(myId)) later = scores;
+    }
+  }
+
+  const scores = new Map();
+  for (const before of state.board.snakes) {
+    const after = simState.board.snakes.find((s) => s.id === before.id);
+    if (!after) {
+      scores.set(before.id, profile.weights.death);
+      continue;
+    }
+    let score = later ? later.get(before.id) : evaluateStateForMe(simState, before.id);
+    if (after.body.length > before.body.length && !isConstrictor(simState)) score += profile.weights.food;
+    score += profile.weights.kill * eliminated.filter((e) => e.id !== before.id && e.by === before.id).length;
+    if (spaceAroundHead(after, simState.board, simState) < after.body.length) score = profile.weights.suffocation;
+    scores.set(before.id, score);
+  }
+  return scores;
+}
+
+/* -------------------- Opponent replies -------------------- */
+
+// Each opponent's replies worth searching in `rootState` (our move already made): most
+// likely first (opponent model), flood-fill as tie-break, at most search.maxOpponentMoves,
+// and the ones a well-observed opponent almost never plays pruned. One with no safe reply
+// carries straight on.
+function replyChoices(rootState, opponents, topo) {
+  return opponents.map((s) => {
+    const model = opponentModel(rootState, s.id);
+    const probabilities = predictMoveProbabilities(model, rootState.board, s, topo);
+    const vm = moves.filter((m) => isMoveInBounds(s.head, m, topo));
+    const safe = vm.filter((m) => !collidesWithBodies(simulateHead(s.head, m, topo), rootState.board, rootState));
+    const scored = safe.map((m) => {
+      const newHead = simulateHead(s.head, m, topo);
+      return { m, p: probabilities[m.name] ?? 0, sc: floodFillScore(newHead, rootState.board, rootState) };
+    });
+    scored.sort((a, b) => b.p - a.p || b.sc - a.sc);
+    let kept = scored.slice(0, profile.search.maxOpponentMoves);
+    if (isModelConfident(model)) {
+      kept = kept.filter((x, i) => i < profile.opponents.minMoves || x.p >= profile.opponents.pruneProbability);
+    }
+    return kept.length ? kept.map((x) => x.m.name) : [facing(s)];
+  });
+}
+
+// The joint opponent replies searchMove() plays our move against, by search.multiplayer
+// (max-n has a search of its own, see maxnMove()):
+//   paranoid    every combination: the opponents as one adversary out to minimize our score
+//   best-reply  the likeliest replies, plus each opponent on its own deviating from them
+//               (best-reply search, with the others playing on instead of passing)
+// `choices` lists each opponent's replies, likeliest first (see replyChoices()).
+function opponentReplies(choices) {
+  return profile.search.multiplayer === "best-reply" ? singleDeviations(choices) : cartesianProduct(choices);
+}
+
+function singleDeviations(options) {
+  const likeliest = options.map((o) => o[0]);
+  const combos = [likeliest];
+  options.forEach((o, i) => {
+    for (const reply of o.slice(1)) combos.push(likeliest.map((r, j) => (j === i ? reply : r)));
+  });
+  return combos;
+}
+
+/* -------------------- Simulation helpers -------------------- */
+
+function cartesianProduct(arr) {
+  if (arr.length === 0) return [[]];
+  return arr.reduce((acc, cur) => acc.flatMap((a) => cur.map((c) => [...a, c])), [[]]);
+}
+
+/* -------------------- Evaluation & heuristics -------------------- */
+
+// How good `state` is for snake `myId`: ours, or an opponent's own view of it under max-n
+function evaluateStateForMe(state, myId) {
+  const me = state.board.snakes.find((s) => s.id === myId);
+  if (!me) return profile.weights.death;
+
+  let score = 0;
+  score += profile.weights.survival;
+  score += profile.weights.safeSpace * spaceAroundHead(me, state.board, state);
+  score += voronoiWeight(state) * voronoiControlScore(me.head, state.board, state, myId);
+  const myLen = me.body.length;
+  const maxOther = state.board.snakes.reduce((acc, s) => (s.id !== myId ? Math.max(acc, s.body.length) : acc), 0);
+  score += (myLen - maxOther) * 20;
+
+  const chokeRisk = detectChokeRisk(me, me.head, state.board, state);
+  if (chokeRisk) {
+    score -= 500; // discourage entering traps
+  }
+
+  // stuck in hazard with not enough health to get out
+  if (hazardDamageAt(me.head, state.board, state) > 0 &&
+      !canReachSafeGround(me.head, me.health, state.board, state)) {
+    return profile.weights.death;
+  }
+
+  return score;
+}
+
+function aggressionHeuristic(move, state, me) {
+  let bonus = 0;
+  const myLen = me.body.length;
+  const meanLen = state.board.snakes.reduce((a, s) => a + s.body.length, 0) / Math.max(1, state.board.snakes.length);
+  if (myLen > meanLen) {
+    const topo = getTopology(state);
+    const newHead = simulateHead(me.head, moves.find((m) => m.name === move.name), topo);
+    const nearestOpp = nearestOpponentDistance(newHead, state.board, me.id, topo);
+    bonus += Math.max(0, 30 - nearestOpp);
+  }
+  bonus += computeFoodDenialBonus(move, state, me);
+  return bonus;
+}
+
+function nearestOpponentDistance(p, board, myId, topo) {
+  let best = Infinity;
+  for (const s of board.snakes) {
+    if (s.id === myId) continue;
+    const d = topo.distance(s.head, p);
+    best = Math.min(best, d);
+  }
+  return best === Infinity ? 1000 : best;
+}
+
+function computeFoodDenialBonus(move, state, me) {
+  if (isConstrictor(state)) return 0;
+  const topo = getTopology(state);
+  const newHead = simulateHead(me.head, moves.find((m) => m.name === move.name), topo);
+  let bonus = 0;
+  for (const f of state.board.food) {
+    for (const s of state.board.snakes) {
+      if (s.id === me.id) continue;
+      const dOppFood = topo.distance(s.head, f);
+      if (dOppFood === 1) {
+        if (pointEq(newHead, f)) bonus += 50;
+        const between = isBetween(s.head, f, newHead, topo);
+        if (between) bonus += 30;
+      }
+    }
+  }
+  return bonus;
+}
+
+function isBetween(a, b, c, topo) {
+  const da = topo.distance(a, b);
+  const dc = topo.distance(c, b);
+  return dc < da;
+}
+
+function nearestFoodDistance(p, board, topo) {
+  if (!board.food || board.food.length === 0) return 1000;
+  let best = Infinity;
+  for (const f of board.food) {
+    const d = topo.distance(f, p);
+    best = Math.min(best, d);
+  }
+  return best === Infinity ? 1000 : best;
+}
+
+/* -------------------- Detect choke risk (legacy simple check) -------------------- */
+
+// `snake` is whoever is heading for `start`: us, or an opponent judging a board for itself
+function detectChokeRisk(snake, start, board, state) {
+  // simple quick check — uses findRegionAndExits internally
+  try {
+    const { region, exits } = findRegionAndExits(start, board, state);
+    // if region is small relative to snake or exits <= 1 it's risky
+    if (region.length === 0) return true;
+    if (region.length < snake.body.length) return true;
+    if (exits.length <= 1) return true;
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
+
+/* -------------------- Health-aware food seeking -------------------- */
+
+function shouldSeekFood(snake) {
+  // Seek food if health is getting low - earlier threshold for safety
+  return snake.health < profile.health.seekFoodBelow;
+}
+
+function calculateHealthBonus(snake, newHead, board, topo) {
+  const nearestFood = nearestFoodDistance(newHead, board, topo);
+
+  // Critical starvation prevention - override other bonuses when very low health
+  if (snake.health <= profile.health.starving) {
+    if (nearestFood === 0) return profile.weights.food * 5; // Massive bonus for immediate food
+    if (nearestFood <= 2) return profile.weights.food * 3; // Strong bonus for very close food
+    return profile.weights.food; // Some bonus for any food when starving
+  }
+
+  // Normal health-based food seeking
+  if (snake.health > profile.health.ignoreFoodAbove) return 0; // Don't prioritize when healthy
+
+  const { urgencyFrom } = profile.health;
+  const urgency = Math.max(0, (urgencyFrom - snake.health) / urgencyFrom); // 0-1 based on health
+
+  if (nearestFood === 0) {
+    return profile.weights.food * (1 + urgency * 2);
+  } else if (nearestFood <= 3) {
+    return urgency * 30 / nearestFood; // Increased base bonus
+  }
+
+  return 0;
+}
+
+/* -------------------- Hazards (royale) -------------------- */
+
+function hazardDamageAt(p, board, state) {
+  const grid = gridFor(board, state);
+  if (!grid.inBounds(p)) return 0;
+  const c = grid.index(p);
+  // snakes that eat on a hazard take no hazard damage that turn
+  if (grid.food[c]) return 0;
+  return grid.hazardStacks[c] * hazardDamagePerTurn(state);
+}
+
+function healthAfterStep(health, p, board, state) {
+  if (isConstrictor(state)) return 100;
+  const grid = gridFor(board, state);
+  if (grid.inBounds(p) && grid.food[grid.index(p)]) return 100;
+  return health - 1 - hazardDamageAt(p, board, state);
+}
+
+function canReachSafeGround(start, health, board, state) {
+  // Can we walk from `start` (already standing there with `health`) to a non-hazard
+  // cell or food before health runs out? Cells are relaxed whenever we reach them
+  // with more health than before, since paths through fewer hazard stacks win.
+  if (health <= 0) return false;
+  if (hazardDamageAt(start, board, state) === 0) return true;
+
+  const grid = gridFor(board, state);
+  const { neighbors, blocked, food, hazardStacks } = grid;
+  const constrictor = isConstrictor(state);
+  const damage = hazardDamagePerTurn(state);
+
+  // best health we've reached each cell with; cells can be queued again with more
+  const best = new Int16Array(grid.size);
+  const first = grid.index(start);
+  best[first] = health;
+  const cells = [first], healths = [health];
+  for (let i = 0; i < cells.length; i++) {
+    const c = cells[i];
+    for (let k = 0; k < 4; k++) {
+      const n = neighbors[c * 4 + k];
+      if (n === -1 || blocked[n]) continue;
+      // healthAfterStep() and hazardDamageAt(), by cell
+      const hazard = food[n] ? 0 : hazardStacks[n] * damage;
+      const h = constrictor || food[n] ? 100 : healths[i] - 1 - hazard;
+      if (h <= 0) continue;
+      if (h === 100 || hazard === 0) return true;
+      if (best[n] >= h) continue;
+      best[n] = h;
+      cells.push(n);
+      healths.push(h);
+    }
+  }
+  return false;
+}
+
+function calculateHazardPenalty(snake, newHead, board, state) {
+  const damage = hazardDamageAt(newHead, board, state);
+  const healthAfter = healthAfterStep(snake.health, newHead, board, state);
+  if (healthAfter <= 0) return profile.weights.death;
+  if (damage === 0) return 0;
+  if (!canReachSafeGround(newHead, healthAfter, board, state)) return profile.weights.death;
+  // cheap when healthy, expensive when the sauce would eat most of what's left
+  return -profile.weights.hazard * (1 + damage / Math.max(1, healthAfter));
+}
+
+/* -------------------- Wall hugging strategy -------------------- */
+
+function calculateWallHugBonus(pos, topo) {
+  // wrapped boards have no walls to hug
+  return topo.wallCount(pos) * profile.weights.wallHug;
+}
+
+/* -------------------- Tail chasing optimization -------------------- */
+
+function calculateTailChaseBonus(snake, newHead, board, state) {
+  // Tails never move in constrictor, so there is nothing to chase
+  if (isConstrictor(state)) return 0;
+
+  // Don't chase tail if we need food urgently
+  if (snake.health < 40) return 0;
+
+  // Only chase tail if we have enough space and it's relatively safe
+  const tail = snake.body[snake.body.length - 1];
+  const distToTail = getTopology(state).distance(newHead, tail);
+
+  // Don't chase if too far away
+  if (distToTail > 3) return 0;
+
+  // Check if tail will move away (snake not growing)
+  const willGrow = board.food.some(f => pointEq(f, snake.head));
+  if (willGrow) return 0; // Tail won't move, don't chase
+
+  // Calculate available space from tail position
+  const tailSpace = floodFillScore(tail, board, state);
+
+  // Only chase tail if we have enough space and it creates a safe loop
+  if (tailSpace >= snake.body.length + 2) {
+    // Reduced bonus to not override food seeking
+    return (profile.weights.tailChase * 0.5) / Math.max(1, distToTail);
+  }
+
+  return 0;
+}
+
+/* -------------------- Advanced trap detection -------------------- */
+
+function detectAdvancedTrap(newHead, board, state, snake) {
+  const topo = getTopology(state);
+
+  // Don't be overly cautious when we desperately need food
+  if (snake.health <= profile.health.desperate) {
+    // Only detect the most severe traps when starving
+    const opponents = state.board.snakes.filter(s => s.id !== snake.id);
+    for (const opponent of opponents) {
+      const oppDist = topo.distance(newHead, opponent.head);
+      if (oppDist <= 1 && opponent.body.length >= snake.body.length) {
+        return profile.weights.trap * 0.5; // Reduced penalty when starving
+      }
+    }
+    return 0; // Allow risky moves when desperate for food
+  }
+
+  // Multi-layered trap detection beyond simple choke analysis
+  let trapRisk = 0;
+
+  // 1. Detect opponent-controlled regions
+  const opponents = state.board.snakes.filter(s => s.id !== snake.id);
+
+  for (const opponent of opponents) {
+    const oppDist = topo.distance(newHead, opponent.head);
+
+    // Check if opponent can block our escape routes
+    if (oppDist <= 3) {
+      const escapeRoutes = countEscapeRoutes(newHead, board, state);
+
+      if (escapeRoutes <= 2) {
+        // Opponent is close and we have few escape routes
+        trapRisk += profile.weights.trap * 0.2; // Reduced penalty
+
+        // Extra penalty if opponent is longer (can win head-to-head)
+        if (opponent.body.length >= snake.body.length) {
+          trapRisk += profile.weights.trap * 0.3; // Reduced penalty
+        }
+      }
+    }
+  }
+
+  // 2. Detect dead-end corridors (reduced penalty)
+  const corridorRisk = detectCorridorTrap(newHead, board, state, snake);
+  trapRisk += corridorRisk * 0.7; // Reduced corridor penalty
+
+  // 3. Detect potential pincer movements (two opponents converging)
+  if (opponents.length >= 2) {
+    const pincerRisk = detectPincerTrap(newHead, opponents, topo);
+    trapRisk += pincerRisk * 0.8; // Slightly reduced pincer penalty
+  }
+
+  return trapRisk;
+}
+
+function countEscapeRoutes(pos, board, state) {
+  let routes = 0;
+  const me = state.you;
+  const topo = getTopology(state);
+
+  for (const move of moves) {
+    const testPos = simulateHead(pos, move, topo);
+
+    if (!isMoveInBounds(pos, move, topo)) continue;
+    if (collidesWithBodies(testPos, board, state)) continue;
+
+    // Enhanced space validation: check both size and geometry
+    if (isViableEscapeSpace(testPos, board, state, me)) {
+      routes++;
+    }
+  }
+
+  return routes;
+}
+
+function detectCorridorTrap(pos, board, state, snake) {
+  // Check if we're entering a narrow corridor that might become a dead end
+
+  const regionInfo = findRegionAndExits(pos, board, state);
+  const { region, exits } = regionInfo;
+
+  // If region is narrow relative to our body length, it's risky
+  const regionSize = region.length;
+  const bodyLength = snake.body.length;
+
+  if (regionSize < bodyLength * 1.5 && exits.length <= 2) {
+    // Small region with few exits - corridor trap risk
+    return profile.weights.trap * 0.5;
+  }
+
+  return 0;
+}
+
+function detectPincerTrap(pos, opponents, topo) {
+  // Check if two opponents are positioning to trap us
+
+  if (opponents.length < 2) return 0;
+
+  let maxPincerRisk = 0;
+
+  // Check all pairs of opponents
+  for (let i = 0; i < opponents.length; i++) {
+    for (let j = i + 1; j < opponents.length; j++) {
+      const opp1 = opponents[i];
+      const opp2 = opponents[j];
+
+      const dist1 = topo.distance(pos, opp1.head);
+      const dist2 = topo.distance(pos, opp2.head);
+
+      // Check if opponents are on roughly opposite sides and close
+      if (dist1 <= 4 && dist2 <= 4) {
+        const oppToOppDist = topo.distance(opp1.head, opp2.head);
+
+        // If opponents are positioned to create a pincer
+        if (oppToOppDist >= Math.max(dist1, dist2)) {
+          const pincerRisk = profile.weights.trap * 0.3 * (1 - Math.min(dist1, dist2) / 4);
+          maxPincerRisk = Math.max(maxPincerRisk, pincerRisk);
+        }
+      }
+    }
+  }
+
+  return maxPincerRisk;
+}
+
+/* -------------------- Body-length-aware space validation -------------------- */
+
+function isViableEscapeSpace(startPos, board, state, snake) {
+  // Enhanced space validation that considers body length and geometry
+  // Detects "dead space" traps where space exists but wrong shape for snake body
+
+  const bodyLength = snake.body.length;
+  const region = floodFillDetailed(startPos, board, state);
+
+  if (region.cells.length < bodyLength + 3) return false; // Need buffer space
+
+  // Analyze space geometry - detect narrow/linear traps
+  const geometry = analyzeSpaceGeometry(region.cells, board);
+
+  // Check if space can accommodate snake movement patterns
+  return canAccommodateSnakeBody(geometry, bodyLength);
+}
+
+function floodFillDetailed(start, board, state) {
+  // Enhanced flood fill that returns detailed region info.
+  // Cells are reported in "unwrapped" coordinates relative to the walk from start, so on
+  // wrapped boards a region crossing an edge keeps its real shape for the geometry checks.
+  // Remembered per board and start cell; the result is shared, so don't modify it.
+  const grid = gridFor(board, state);
+  if (!grid.inBounds(start)) return { cells: [], size: 0 };
+  const memo = (grid.memo.detailed ??= new Map());
+  if (memo.has(grid.index(start))) return memo.get(grid.index(start));
+  const { neighbors, blocked } = grid;
+  const { seen, stamp } = scratchFor(grid);
+
+  const cells = [start]; // doubles as the BFS queue, with each cell's grid index alongside
+  const indices = [grid.index(start)];
+  seen[indices[0]] = stamp;
+  for (let i = 0; i < cells.length; i++) {
+    const cur = cells[i];
+    for (let k = 0; k < 4; k++) {
+      const n = neighbors[indices[i] * 4 + k];
+      if (n === -1 || seen[n] === stamp || blocked[n]) continue;
+      seen[n] = stamp;
+      cells.push({ x: cur.x + moves[k].dx, y: cur.y + moves[k].dy });
+      indices.push(n);
+    }
+  }
+
+  memo.set(indices[0], { cells, size: cells.length });
+  return memo.get(indices[0]);
+}
+
+function analyzeSpaceGeometry(cells, board) {
+  if (cells.length === 0) return { width: 0, height: 0, aspectRatio: 0, density: 0 };
+
+  // Find bounding rectangle
+  const minX = Math.min(...cells.map(c => c.x));
+  const maxX = Math.max(...cells.map(c => c.x));
+  const minY = Math.min(...cells.map(c => c.y));
+  const maxY = Math.max(...cells.map(c => c.y));
+
+  const width = maxX - minX + 1;
+  const height = maxY - minY + 1;
+  const boundingArea = width * height;
+  const actualArea = cells.length;
+
+  return {
+    width,
+    height,
+    aspectRatio: Math.max(width, height) / Math.min(width, height),
+    density: actualArea / boundingArea, // How "filled" the bounding rectangle is
+    minDimension: Math.min(width, height)
+  };
+}
+
+function canAccommodateSnakeBody(geometry, bodyLength) {
+  // Check if space geometry can accommodate snake body movement
+
+  // 1. Minimum width check - space must be wide enough for snake to maneuver
+  if (geometry.minDimension < 2) {
+    // Linear spaces (1-cell wide) are dangerous unless very short
+    return geometry.width * geometry.height <= bodyLength * 0.8;
+  }
+
+  // 2. Aspect ratio check - very long/narrow spaces are tricky
+  if (geometry.aspectRatio > 5) {
+    // Long narrow corridor - check if we can navigate it
+    const corridorLength = Math.max(geometry.width, geometry.height);
+    const corridorWidth = Math.min(geometry.width, geometry.height);
+
+    // Dangerous if corridor is barely wider than our turning radius
+    if (corridorWidth <= 2 && corridorLength < bodyLength * 1.5) {
+      return false;
+    }
+  }
+
+  // 3. Density check - fragmented spaces are harder to navigate
+  if (geometry.density < 0.6) {
+    // Very fragmented space - need extra room
+    return geometry.width * geometry.height >= bodyLength * 2;
+  }
+
+  // 4. General viability - space should be significantly larger than body
+  const spaceArea = geometry.width * geometry.height * geometry.density;
+  return spaceArea >= bodyLength * 1.4;
+}
+
+/* -------------------- 1v1 Endgame strategy -------------------- */
+
+function calculateEndgameBonus(state, newHead, me) {
+  const opponents = state.board.snakes.filter(s => s.id !== me.id);
+
+  if (opponents.length !== 1) return 0; // Not 1v1
+
+  const opponent = opponents[0];
+  const myLen = me.body.length;
+  const oppLen = opponent.body.length;
+
+  // If we're longer, be more aggressive
+  if (myLen > oppLen) {
+    const distToOpp = getTopology(state).distance(newHead, opponent.head);
+    return Math.max(0, 50 - distToOpp * 5); // Get closer when we're bigger
+  }
+
+  // If opponent is longer, focus on space control and survival
+  const voronoiScore = voronoiControlScore(newHead, state.board, state, me.id);
+  return voronoiScore * 2; // Double voronoi importance in 1v1
+}
+
+export { info, start, move, watchedMove, end, personality, decideMove, explain, analyze, lookahead, startSearchWorkers, setSearchWorkers };
@@ -0,0 +1,105 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { setConfig, configFor, profileName, loadConfigFile, snakeNames, snakeAppearance, DEFAULTS } from '../config.js';
+
+const game = (ruleset) => ({ game: { id: "g", ruleset: { name: ruleset } } });
+
+afterEach(() => {
+  delete process.env.STRATEGY_PROFILE;
+  setConfig({});
+});
+
+test("the shipped config.json is valid", () => {
+  const file = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config.json");
+  const config = loadConfigFile(file);
+  assert.ok(config.profiles.cautious && config.profiles.aggressive && config.profiles.royale);
+});
+
+test("profiles only override what they list", () => {
+  setConfig({ profiles: { greedy: { weights: { food: 40 } } }, rulesets: { standard: "greedy" } });
+  const settings = configFor(game("standard"));
+  assert.equal(settings.weights.food, 40);
+  assert.equal(settings.weights.kill, DEFAULTS.weights.kill);
+  assert.deepEqual(settings.search, DEFAULTS.search);
+});
+
+test("the ruleset picks the profile unless STRATEGY_PROFILE says otherwise", () => {
+  setConfig({
+    profiles: { royale: { weights: { hazard: 120 } }, cautious: { weights: { trap: -2000 } } },
+    rulesets: { royale: "royale" },
+  });
+  assert.equal(profileName(game("royale")), "royale");
+  assert.equal(profileName(game("standard")), "default");
+
+  process.env.STRATEGY_PROFILE = "cautious";
+  assert.equal(profileName(game("royale")), "cautious");
+  assert.equal(configFor(game("royale")).weights.trap, -2000);
+});
+
+test("defaults in the file apply to every profile", () => {
+  setConfig({ defaults: { search: { maxDepth: 3 } }, profiles: { fast: { search: { maxOpponentMoves: 2 } } } });
+  process.env.STRATEGY_PROFILE = "fast";
+  assert.deepEqual(
+    [configFor(game("standard")).search.maxDepth, configFor(game("standard")).search.maxOpponentMoves],
+    [3, 2],
+  );
+});
+
+test("invalid configs are rejected with every problem listed, keeping the previous one", () => {
+  setConfig({ profiles: { ok: { weights: { food: 20 } } }, rulesets: { standard: "ok" } });
+  assert.throws(
+    () => setConfig({
+      profiles: { bad: { weights: { food: "lots", nope: 1 }, search: { maxDepth: 2.5, engine: "dice" }, extras: {} } },
+      rulesets: { royale: "missing" },
+    }),
+    (e) => [
+      "profiles.bad.weights.food: expected a number",
+      "profiles.bad.weights.nope: unknown setting",
+      "profiles.bad.search.maxDepth: expected a whole number",
+      'profiles.bad.search.engine: expected one of "minimax", "mcts"',
+      'profiles.bad: unknown section "extras"',
+      'rulesets.royale: unknown profile "missing"',
+    ].every((problem) => e.message.includes(problem)),
+  );
+  assert.equal(configFor(game("standard")).weights.food, 20);
+});
+
+test("resolved profiles can't be changed by accident", () => {
+  assert.throws(() => {
+    configFor(game("standard")).weights.food = 1;
+  }, TypeError);
+});
+
+test("extra snakes get their own profile and appearance", () => {
+  setConfig({
+    profiles: { bold: { weights: { kill: 900 } }, royale: { weights: { hazard: 120 } } },
+    rulesets: { royale: "royale" },
+    snakes: { bold: { profile: "bold", color: "#D7263D", head: "fang" }, plain: { tail: "round-bum" } },
+  });
+  process.env.STRATEGY_PROFILE = "royale";
+  assert.deepEqual(snakeNames(), ["bold", "plain"]);
+  assert.equal(profileName(game("royale"), "bold"), "bold");
+  assert.equal(configFor(game("standard"), "bold").weights.kill, 900);
+  // no profile of its own: chosen as for the main snake
+  assert.equal(profileName(game("standard"), "plain"), "royale");
+  assert.deepEqual(snakeAppearance("bold"), { color: "#D7263D", head: "fang" });
+  assert.deepEqual(snakeAppearance("gone"), {});
+});
+
+test("extra snakes are validated with the rest of the config", () => {
+  assert.throws(
+    () => setConfig({
+      snakes: { move: {}, "a/b": {}, odd: { profile: "missing", color: "red", size: 3, head: 1 } },
+    }),
+    (e) => [
+      'snakes.move: "move" is reserved',
+      'snakes.a/b: name must be letters, digits, "-" or "_"',
+      'snakes.odd.profile: unknown profile "missing"',
+      'snakes.odd.color: expected a hex color like "#FF6B35"',
+      'snakes.odd: unknown setting "size"',
+      "snakes.odd.head: expected a string",
+    ].every((problem) => e.message.includes(problem)),
+  );
+});
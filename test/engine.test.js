@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, playTurn, stepBoard, isGameOver, stateForSnake } from '../engine.js';
+
+const players = (count, move = () => ({ move: "up" })) =>
+  Array.from({ length: count }, (_, i) => ({ name: `s${i}`, move }));
+
+const cells = (list) => list.map((p) => `${p.x},${p.y}`).sort();
+
+test("the same seed sets up the same game", () => {
+  const first = createGame({ seed: 11 }, players(4));
+  const again = createGame({ seed: 11 }, players(4));
+  assert.deepEqual(again.board, first.board);
+  assert.equal(first.game.id, "offline-11");
+  assert.notDeepEqual(createGame({ seed: 12 }, players(4)).board, first.board);
+});
+
+test("snakes spawn on the fixed points, coiled up, each with a food diagonal to it", () => {
+  const game = createGame({ seed: 3 }, players(8));
+  const heads = game.board.snakes.map((s) => s.head);
+  assert.deepEqual(cells(heads), cells([
+    { x: 1, y: 1 }, { x: 1, y: 9 }, { x: 9, y: 1 }, { x: 9, y: 9 },
+    { x: 1, y: 5 }, { x: 5, y: 1 }, { x: 9, y: 5 }, { x: 5, y: 9 },
+  ]));
+  for (const s of game.board.snakes) {
+    assert.equal(s.body.length, 3);
+    assert.ok(s.body.every((b) => b.x === s.head.x && b.y === s.head.y));
+    assert.equal(s.health, 100);
+  }
+  // the first four take the corners
+  assert.ok(game.board.snakes.slice(0, 4).every((s) => [1, 9].includes(s.head.x) && [1, 9].includes(s.head.y)));
+
+  const food = game.board.food;
+  assert.equal(food.length, 9);
+  assert.deepEqual(food.at(-1), { x: 5, y: 5 });
+  game.board.snakes.forEach((s, i) => {
+    assert.equal(Math.abs(food[i].x - s.head.x), 1);
+    assert.equal(Math.abs(food[i].y - s.head.y), 1);
+  });
+});
+
+test("tiny boards place snakes anywhere free, and constrictor games get no food", () => {
+  const game = createGame({ seed: 5, width: 5, height: 5, ruleset: "constrictor" }, players(6));
+  const heads = cells(game.board.snakes.map((s) => s.head));
+  assert.equal(new Set(heads).size, 6);
+  assert.ok(game.board.snakes.every((s) => s.head.x < 5 && s.head.y < 5));
+  assert.deepEqual(game.board.food, []);
+});
+
+test("food is topped up to the minimum, and otherwise spawns by chance", () => {
+  const topUp = createGame({ seed: 7, settings: { minimumFood: 5, foodSpawnChance: 0 } }, players(2));
+  topUp.board.food = [];
+  stepBoard(topUp, new Map([["snake-1", "up"], ["snake-2", "up"]]));
+  assert.equal(topUp.board.food.length, 5);
+  stepBoard(topUp, new Map([["snake-1", "up"], ["snake-2", "up"]]));
+  assert.equal(topUp.board.food.length, 5);
+
+  const always = createGame({ seed: 7, settings: { minimumFood: 0, foodSpawnChance: 100 } }, players(2));
+  const before = always.board.food.length;
+  stepBoard(always, new Map([["snake-1", "up"], ["snake-2", "up"]]));
+  assert.equal(always.board.food.length, before + 1);
+  assert.equal(new Set(cells(always.board.food)).size, before + 1);
+});
+
+test("the royale zone shrinks by one edge every N turns, the same way for the same seed", () => {
+  const royale = (seed) => {
+    const game = createGame({ seed, ruleset: "royale", settings: { royale: { shrinkEveryNTurns: 3 } } }, players(2));
+    const hazards = [];
+    for (let turn = 0; turn < 6; turn++) {
+      game.turn = turn;
+      stepBoard(game, new Map());
+      hazards.push(game.board.hazards.length);
+    }
+    return { hazards, cells: cells(game.board.hazards) };
+  };
+  const first = royale(9);
+  // turns 3 and 6 shrink; two edges of 11 cells, less the corner they share if they meet
+  assert.deepEqual(first.hazards.slice(0, 2), [0, 0]);
+  assert.deepEqual(first.hazards.slice(2, 5), [11, 11, 11]);
+  assert.ok([21, 22].includes(first.hazards[5]), `${first.hazards[5]}`);
+  assert.deepEqual(royale(9), first);
+});
+
+test("a turn asks every snake, keeps a broken snake going straight, and advances the board", () => {
+  const game = createGame({ seed: 1 }, [
+    { name: "up", move: () => ({ move: "up" }) },
+    { name: "broken", move: () => { throw new Error("no"); } },
+    { name: "nonsense", move: () => ({ move: "sideways" }) },
+  ]);
+  const heads = game.board.snakes.map((s) => ({ ...s.head }));
+  let seen;
+  game.players[0].move = (state) => { seen = state; return { move: "up" }; };
+
+  const chosen = playTurn(game);
+  assert.deepEqual([...chosen.values()], ["up", "up", "up"]);
+  assert.equal(game.turn, 1);
+  assert.equal(seen.you.id, "snake-1");
+  assert.deepEqual(seen.board.snakes.map((s) => s.head), heads);
+  game.board.snakes.forEach((s, i) => assert.deepEqual(s.head, { x: heads[i].x, y: heads[i].y + 1 }));
+  assert.deepEqual(stateForSnake(game, "snake-2").you.head, game.board.snakes[1].head);
+  assert.equal(isGameOver(game), false);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { explain, analyze } from '../snake.js';
+import { getSession } from '../sessions.js';
+import { setLogLevel } from '../logger.js';
+import { gameState, xy } from './helpers.js';
+
+setLogLevel("silent");
+
+const state = (id, snakes, food = []) => gameState(snakes, { id, food, turn: 12, timeout: 200 });
+
+test("every candidate's heuristics add up to its score", async () => {
+  const result = await explain(state("explain-1", [
+    { id: "me", health: 60, body: xy([5, 5], [5, 4], [5, 3]) },
+    { id: "them", health: 60, body: xy([9, 9], [9, 8], [9, 7]) },
+  ], xy([6, 5])));
+
+  assert.equal(result.profile, "default");
+  assert.equal(result.move, result.candidates[0].move);
+  for (const c of result.candidates) {
+    const sum = Object.values(c.heuristics).reduce((a, h) => a + h.value, 0);
+    assert.ok(Math.abs(sum - c.heuristicScore) < 1e-9, `${c.move}: ${sum} vs ${c.heuristicScore}`);
+    assert.equal(c.totalScore, c.heuristicScore + c.lookaheadScore);
+  }
+  assert.equal(result.candidates.find((c) => c.move === "right").heuristics.immediateEat.raw, true);
+});
+
+test("pruned moves say why", async () => {
+  const result = await explain(state("explain-2", [
+    { id: "me", health: 60, body: xy([0, 5], [0, 4], [0, 3]) },
+    { id: "them", health: 60, body: xy([2, 5], [3, 5], [4, 5], [5, 5]) },
+  ]));
+
+  assert.deepEqual(result.pruned.map((p) => [p.move, p.stage]).sort(), [
+    ["down", "collision"],
+    ["left", "bounds"],
+    ["right", "head-to-head"],
+  ]);
+  assert.match(result.pruned.find((p) => p.move === "right").reason, /them \(length 4, ours 3\)/);
+  assert.equal(result.move, "up");
+});
+
+test("explaining a board doesn't play it", async () => {
+  await explain(state("explain-3", [{ id: "me", health: 60, body: xy([5, 5], [5, 4], [5, 3]) }]));
+  assert.equal(getSession(state("explain-3", [{ id: "me", body: xy([5, 5]) }])), undefined);
+});
+
+test("explaining a board doesn't log a move", async () => {
+  const lines = [];
+  const { log } = console;
+  console.log = (line) => lines.push(line);
+  setLogLevel("info");
+  try {
+    await explain(state("explain-6", [{ id: "me", health: 60, body: xy([5, 5], [5, 4], [5, 3]) }]));
+  } finally {
+    console.log = log;
+    setLogLevel("silent");
+  }
+  assert.deepEqual(lines, []);
+});
+
+test("a board is never explained for longer than a real move gets", async () => {
+  const board = (timeout) => gameState([
+    { id: "me", health: 60, body: xy([5, 5], [5, 4], [5, 3]) },
+    { id: "them", health: 60, body: xy([9, 9], [9, 8], [9, 7]) },
+  ], { id: "explain-5", timeout });
+  const asked = board(1e9);
+  assert.equal((await explain(asked)).timeout, 500);
+  assert.equal(asked.game.timeout, 1e9);
+  assert.equal((await explain(board(200))).timeout, 200);
+});
+
+test("analysis overlays cover the board and only the moves we could make", () => {
+  const result = analyze(state("explain-4", [
+    { id: "me", health: 60, body: xy([0, 5], [0, 4], [0, 3]) },
+    { id: "them", health: 60, body: xy([8, 5], [9, 5], [10, 5]) },
+  ]));
+
+  assert.equal(result.voronoi.length, 11 * 11);
+  assert.equal(result.voronoi.find((c) => c.x === 1 && c.y === 5).owner, "me");
+  assert.equal(result.voronoi.find((c) => c.x === 4 && c.y === 5).owner, null); // equidistant
+  assert.deepEqual(result.moves.map((m) => m.move).sort(), ["right", "up"]);
+  const up = result.moves.find((m) => m.move === "up");
+  assert.equal(up.flood.length, 11 * 11 - 6 + 2); // both tails move away
+  assert.ok(up.flood.every((c) => c.x >= 0 && c.x < 11 && c.y >= 0 && c.y < 11));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gridFor, createQueue } from '../grid.js';
+import { gameState, xy } from './helpers.js';
+
+const state = (snakes, options) => gameState(snakes, { width: 5, height: 5, ...options });
+
+test("bodies block next turn except for tails that will move", () => {
+  const s = state([
+    { id: "a", body: xy([1, 1], [1, 2], [1, 3]) },
+    { id: "b", body: xy([3, 1], [3, 2], [3, 3]) },
+  ], { food: xy([3, 1]) });
+  const grid = gridFor(s.board, s);
+  const at = (x, y) => grid.index({ x, y });
+
+  assert.equal(grid.blocked[at(1, 2)], 1);
+  assert.equal(grid.blocked[at(1, 3)], 0); // a's tail moves
+  assert.equal(grid.blocked[at(3, 3)], 1); // b is eating, so its tail stays
+  assert.equal(grid.body[at(1, 3)], 1);
+  assert.deepEqual([grid.snakeAt[at(1, 1)], grid.snakeAt[at(3, 2)], grid.snakeAt[at(0, 0)]], [0, 1, -1]);
+  assert.equal(grid.food[at(3, 1)], 1);
+});
+
+test("neighbors wrap around on wrapped boards and stop at the edge otherwise", () => {
+  const body = xy([0, 0], [1, 0]);
+  const bs = state([{ id: "a", body }]);
+  const ws = state([{ id: "a", body }], { ruleset: "wrapped" });
+  const bounded = gridFor(bs.board, bs);
+  const wrapped = gridFor(ws.board, ws);
+
+  // up, down, left, right from the corner
+  assert.deepEqual([...bounded.neighbors.subarray(0, 4)], [5, -1, -1, 1]);
+  assert.deepEqual([...wrapped.neighbors.subarray(0, 4)], [5, 20, 4, 1]);
+  assert.deepEqual(wrapped.point(24), { x: 4, y: 4 });
+});
+
+test("a board that changes after its grid was built gets a fresh one", () => {
+  const s = state([{ id: "a", body: xy([1, 1], [1, 2], [1, 3]) }]);
+  const before = gridFor(s.board, s);
+  assert.equal(gridFor(s.board, s), before);
+
+  const snake = s.board.snakes[0];
+  snake.body = xy([2, 1], [1, 1], [1, 2]);
+  snake.head = snake.body[0];
+  const after = gridFor(s.board, s);
+  assert.notEqual(after, before);
+  assert.equal(after.blocked[after.index({ x: 2, y: 1 })], 1);
+  assert.equal(after.body[after.index({ x: 1, y: 3 })], 0);
+});
+
+test("the ring-buffer queue stays first in, first out while it grows", () => {
+  const queue = createQueue(4);
+  for (let i = 0; i < 3; i++) queue.push(i);
+  assert.equal(queue.shift(), 0);
+  for (let i = 3; i < 10; i++) queue.push(i);
+  const out = [];
+  while (queue.length) out.push(queue.shift());
+  assert.deepEqual(out, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test("boards with the same contents share a grid, and what was worked out about it", () => {
+  const body = xy([2, 2], [2, 1], [1, 1], [1, 2]);
+  const a = state([{ id: "a", body }]);
+  const b = state([{ id: "a", body: body.map((p) => ({ ...p })) }]);
+  const grid = gridFor(a.board, a);
+  grid.memo.answer = 42;
+  assert.equal(gridFor(b.board, b).memo.answer, 42);
+
+  // same head and length, different body
+  const c = state([{ id: "a", body: xy([2, 2], [2, 1], [3, 1], [3, 2]) }]);
+  assert.notEqual(gridFor(c.board, c), grid);
+  const wrapped = state([{ id: "a", body }], { ruleset: "wrapped" });
+  assert.notEqual(gridFor(wrapped.board, wrapped), grid);
+});
@@ -0,0 +1,35 @@
+// Shared builders for the tests' game states
+
+import { readFileSync } from 'node:fs';
+
+export const xy = (...pairs) => pairs.map(([x, y]) => ({ x, y }));
+
+// A /move request with `snakes` ([{ id, body, health? }]) on the board; the first is `you`
+export function gameState(snakes, {
+  id = "g", ruleset = "standard", width = 11, height = 11, food = [], hazards = [], turn = 5, timeout = 500, you,
+} = {}) {
+  const full = snakes.map((s) => ({
+    health: 80,
+    ...s,
+    name: s.name ?? s.id,
+    body: s.body.map((b) => ({ ...b })),
+    head: { ...s.body[0] },
+    length: s.body.length,
+  }));
+  return {
+    game: { id, ruleset: typeof ruleset === "string" ? { name: ruleset } : ruleset, timeout },
+    turn,
+    board: { width, height, food: food.map((f) => ({ ...f })), hazards: hazards.map((h) => ({ ...h })), snakes: full },
+    you: you === undefined ? full[0] : full.find((s) => s.id === you),
+  };
+}
+
+export function readScenario(file) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/scenarios/${file}`, import.meta.url), "utf8"));
+}
+
+// The request for a scenario file's board (see scenarios.test.js)
+export function scenarioState(scenario, { id = "scenario", timeout = scenario.timeout ?? 500 } = {}) {
+  const { snakes, ruleset, width, height, food, hazards = [], turn = 0, you } = scenario;
+  return gameState(snakes, { id, ruleset, width, height, food, hazards, turn, timeout, you });
+}
@@ -0,0 +1,62 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger, gameLogger, setLogLevel, setLogFormat } from '../logger.js';
+
+let lines;
+const { log, error } = console;
+
+beforeEach(() => {
+  lines = [];
+  console.log = (line) => lines.push({ stream: "out", line });
+  console.error = (line) => lines.push({ stream: "err", line });
+  setLogLevel("info");
+});
+
+afterEach(() => {
+  console.log = log;
+  console.error = error;
+  setLogFormat("text");
+});
+
+const state = {
+  game: { id: "g1", ruleset: { name: "royale" } },
+  turn: 12,
+  you: { id: "me" },
+};
+
+test("game loggers tag every line with game, turn, snake and ruleset", () => {
+  setLogFormat("json");
+  gameLogger(state).info("move", { move: "up", depth: 3 });
+
+  const entry = JSON.parse(lines[0].line);
+  assert.equal(entry.level, "info");
+  assert.equal(entry.msg, "move");
+  assert.deepEqual(
+    { game: entry.game, turn: entry.turn, snake: entry.snake, ruleset: entry.ruleset, move: entry.move, depth: entry.depth },
+    { game: "g1", turn: 12, snake: "me", ruleset: "royale", move: "up", depth: 3 },
+  );
+});
+
+test("lines below the level are dropped", () => {
+  const log = gameLogger(state);
+  log.debug("move scores", { scores: ["up 1.0"] });
+  assert.equal(lines.length, 0);
+  assert.equal(log.isEnabled("debug"), false);
+
+  setLogLevel("debug");
+  log.debug("move scores", { scores: ["up 1.0"] });
+  assert.equal(lines.length, 1);
+
+  setLogLevel("silent");
+  log.error("minimax error");
+  assert.equal(lines.length, 1);
+
+  assert.throws(() => setLogLevel("chatty"), /unknown log level/);
+});
+
+test("text lines are key=value and warnings go to stderr", () => {
+  logger.child({ game: "g 2" }).warn("config reload failed", { error: "bad value" });
+
+  assert.equal(lines[0].stream, "err");
+  assert.match(lines[0].line, /^\S+ WARN  config reload failed game="g 2" error="bad value"$/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decideMove } from '../snake.js';
+import { configFor, DEFAULTS } from '../config.js';
+import { treeSearch } from '../mcts.js';
+import { setLogLevel } from '../logger.js';
+import { gameState, readScenario, scenarioState, xy } from './helpers.js';
+
+setLogLevel("silent");
+
+const stateFrom = (scenario, timeout) => scenarioState(scenario, { id: "mcts", timeout });
+
+function mcts(state, mctsSettings = {}) {
+  const base = configFor(state);
+  return { ...base, search: { ...base.search, engine: "mcts" }, mcts: { ...base.mcts, ...mctsSettings } };
+}
+
+test("the tree search finds the way out of a pocket and the winning head-to-head", () => {
+  for (const name of ["pocket.json", "winning-head-to-head.json"]) {
+    const scenario = readScenario(name);
+    const state = stateFrom(scenario, 1e9);
+    const decision = decideMove(state, mcts(state, { maxIterations: 2000 }), { dryRun: true });
+    assert.equal(decision.move, scenario.mustChoose, name);
+    assert.equal(decision.engine, "mcts");
+    assert.equal(decision.combos, 2000);
+    assert.equal(decision.candidates.reduce((sum, c) => sum + c.playouts, 0), 2000);
+  }
+});
+
+test("the same position searched as long gives the same answer", () => {
+  const state = stateFrom(readScenario("starving.json"), 1e9);
+  const settings = mcts(state, { maxIterations: 300 });
+  const first = decideMove(structuredClone(state), settings, { dryRun: true });
+  const again = decideMove(structuredClone(state), settings, { dryRun: true });
+  assert.deepEqual(again.candidates, first.candidates);
+});
+
+test("the tree search reports every slice and stops at the deadline", () => {
+  // a clock that only moves when a playout is scored: 1ms each
+  const state = gameState([
+    { id: "me", health: 90, body: xy([2, 2], [2, 1], [2, 0]) },
+    { id: "them", health: 90, body: xy([8, 8], [8, 9], [8, 10]) },
+  ], { id: "mcts-clock" });
+  let time = 1000;
+  const evaluate = (s) => {
+    time++;
+    return new Map(s.board.snakes.map((snake) => [snake.id, 0]));
+  };
+  const reports = [];
+  const search = treeSearch(state, ["up", "left", "right"], {
+    deadline: 1100, settings: DEFAULTS.mcts, evaluate, now: () => time,
+  });
+  for (const standings of search) reports.push({ time, iterations: standings.iterations });
+
+  const final = reports.at(-1);
+  assert.ok(final.time >= 1100 && final.time <= 1101, `stopped at ${final.time}`);
+  const slices = reports.slice(0, -1);
+  assert.ok(slices.length >= 4 && slices.length <= 5, `${slices.length} slices`);
+  slices.forEach((r, i) => assert.ok(r.time - (slices[i - 1]?.time ?? 1000) >= 20, `slice ${i} at ${r.time}`));
+
+  const capped = [...treeSearch(state, ["up", "left"], {
+    deadline: Infinity, settings: { ...DEFAULTS.mcts, maxIterations: 50 }, evaluate, now: () => time,
+  })];
+  assert.equal(capped.at(-1).iterations, 50);
+});
@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMetrics, resetMetrics, observeMove, observeGameEnd, gameOutcome } from '../metrics.js';
+
+beforeEach(() => resetMetrics());
+
+const game = (ruleset, snakes = [], you = "me") => ({
+  game: { id: "g", ruleset: { name: ruleset }, timeout: 500 },
+  board: { snakes: snakes.map((id) => ({ id })) },
+  you: { id: you },
+});
+
+test("moves feed the latency, headroom, depth and combo histograms", () => {
+  observeMove(game("standard"), { computeMs: 120, depth: 3, combos: 40, fallback: false });
+  observeMove(game("standard"), { computeMs: 460, depth: 1, combos: 5, fallback: true });
+  const text = renderMetrics();
+
+  assert.match(text, /# TYPE battlesnake_move_duration_seconds histogram/);
+  assert.match(text, /battlesnake_move_duration_seconds_bucket\{ruleset="standard",le="0.2"\} 1\n/);
+  assert.match(text, /battlesnake_move_duration_seconds_bucket\{ruleset="standard",le="\+Inf"\} 2\n/);
+  assert.match(text, /battlesnake_move_duration_seconds_count\{ruleset="standard"\} 2\n/);
+  // 500ms timeout - 460ms spent
+  assert.match(text, /battlesnake_move_headroom_seconds_bucket\{ruleset="standard",le="0.05"\} 1\n/);
+  assert.match(text, /battlesnake_search_depth_sum\{ruleset="standard"\} 4\n/);
+  assert.match(text, /battlesnake_search_combos_sum\{ruleset="standard"\} 45\n/);
+  assert.match(text, /battlesnake_moves_total\{ruleset="standard"\} 2\n/);
+  assert.match(text, /battlesnake_fallback_moves_total\{ruleset="standard"\} 1\n/);
+  assert.match(text, /battlesnake_active_games \d+\n/);
+});
+
+test("game outcomes are counted by ruleset", () => {
+  observeGameEnd(game("royale", ["me"]));
+  observeGameEnd(game("royale", ["them"]));
+  observeGameEnd(game("wrapped", []));
+  const text = renderMetrics();
+
+  assert.match(text, /battlesnake_games_finished_total\{ruleset="royale",outcome="win"\} 1\n/);
+  assert.match(text, /battlesnake_games_finished_total\{ruleset="royale",outcome="loss"\} 1\n/);
+  assert.match(text, /battlesnake_games_finished_total\{ruleset="wrapped",outcome="draw"\} 1\n/);
+});
+
+test("outcome reads the final board", () => {
+  assert.equal(gameOutcome(game("standard", ["me"])), "win");
+  assert.equal(gameOutcome(game("standard", ["me", "them"])), "draw");
+  assert.equal(gameOutcome(game("standard", ["them"])), "loss");
+  assert.equal(gameOutcome(game("standard", [])), "draw");
+  assert.equal(gameOutcome(game("solo", [])), "solo");
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, stateForSnake } from '../engine.js';
+import { decideMove } from '../snake.js';
+import { configFor } from '../config.js';
+import { setLogLevel } from '../logger.js';
+
+setLogLevel("silent");
+
+function position(snakes, seed) {
+  const game = createGame({ width: 11, height: 11, ruleset: "standard", seed, timeout: 1e9 },
+    Array.from({ length: snakes }, (_, i) => ({ name: `s${i}` })));
+  return stateForSnake(game, game.board.snakes[0].id);
+}
+
+function searchWith(state, search) {
+  const base = configFor(state);
+  const settings = { ...base, search: { ...base.search, transpositionEntries: 0, ...search } };
+  return decideMove(structuredClone(state), settings, { dryRun: true });
+}
+
+test("against one opponent, best-reply and paranoid search are the same search", () => {
+  const state = position(2, 4);
+  const scores = (decision) => decision.candidates.map((c) => [c.move, c.lookaheadScore]);
+  const paranoid = searchWith(state, { multiplayer: "paranoid", maxDepth: 2 });
+  const bestReply = searchWith(state, { multiplayer: "best-reply", maxDepth: 2 });
+  assert.deepEqual(scores(bestReply), scores(paranoid));
+  assert.equal(bestReply.combos, paranoid.combos);
+});
+
+test("replies searched per move: every combination for paranoid and max-n, one deviation at a time for best-reply", () => {
+  // turn 0: every opponent has all four moves
+  const state = position(4, 6);
+  const perMove = (multiplayer) => {
+    const decision = searchWith(state, { multiplayer, maxDepth: 1 });
+    assert.equal(decision.depth, 1);
+    return decision.combos / decision.candidates.length;
+  };
+  assert.equal(perMove("paranoid"), 4 * 4 * 4);
+  assert.equal(perMove("best-reply"), 1 + 3 * 3);
+  assert.equal(perMove("max-n"), 4 * 4 * 4);
+});
+
+test("max-n never scores a move below paranoid search, which assumes the worst of every opponent", () => {
+  for (const seed of [3, 7]) {
+    const state = position(3, seed);
+    const scores = (multiplayer) => Object.fromEntries(
+      searchWith(state, { multiplayer, maxDepth: 2 }).candidates.map((c) => [c.move, c.lookaheadScore]));
+    const paranoid = scores("paranoid");
+    const maxn = scores("max-n");
+    for (const [move, score] of Object.entries(maxn)) assert.ok(score >= paranoid[move], `${seed} ${move}`);
+    assert.ok(Object.entries(maxn).some(([move, score]) => score > paranoid[move]), `${seed}`);
+  }
+});
+
+test("paranoid search that can't finish a depth with many snakes falls back to best-reply", () => {
+  // turn 0 of an 8-snake game: 4^7 paranoid combinations for each of our moves
+  const game = createGame({ width: 19, height: 19, ruleset: "standard", seed: 2, timeout: 500 },
+    Array.from({ length: 8 }, (_, i) => ({ name: `s${i}` })));
+  const state = stateForSnake(game, game.board.snakes[0].id);
+  const decision = decideMove(state, configFor(state), { dryRun: true });
+  assert.ok(decision.depth >= 1, `depth ${decision.depth}`);
+  assert.ok(decision.notes.some((n) => n.includes("best-reply")), decision.notes.join("; "));
+});
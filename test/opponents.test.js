@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpponentModel, observeOpponentMove, predictMoveProbabilities, headToHeadWillingness, classifyOpponent, isModelConfident } from '../opponents.js';
+import { createBoundedTopology } from '../topology.js';
+import { gameState, xy } from './helpers.js';
+
+const topo = createBoundedTopology(11, 11);
+
+function board(snakes, food = []) {
+  return gameState(snakes, { food: xy(...food) }).board;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} vs ${expected}`);
+
+test("a snake we know nothing about is equally likely to take any safe move", () => {
+  const b = board([{ id: "a", body: xy([5, 5], [5, 4], [5, 3]) }], [[8, 5]]);
+  assert.deepEqual(predictMoveProbabilities(createOpponentModel(), b, b.snakes[0], topo), { up: 1 / 3, left: 1 / 3, right: 1 / 3 });
+  assert.deepEqual(predictMoveProbabilities(undefined, b, b.snakes[0], topo), { up: 1 / 3, left: 1 / 3, right: 1 / 3 });
+});
+
+test("a snake that keeps heading for food is predicted to do it again", () => {
+  // up, left and right are all open; only right gets closer to the food
+  const b = board([{ id: "a", body: xy([5, 5], [5, 4], [5, 3]) }], [[8, 5]]);
+  const model = createOpponentModel();
+  for (let i = 0; i < 6; i++) observeOpponentMove(model, b, b.snakes[0], "right", topo);
+
+  assert.deepEqual(model.features.food, { opportunities: 6, chosen: 6 });
+  assert.deepEqual(model.features.space, { opportunities: 0, chosen: 0 });
+  // smoothed rate 7/8 is odds of 7 for the food move against 1 for each other
+  const p = predictMoveProbabilities(model, b, b.snakes[0], topo);
+  close(p.right, 7 / 9);
+  close(p.up, 1 / 9);
+  close(p.left, 1 / 9);
+  assert.equal(isModelConfident(model), true);
+  assert.equal(classifyOpponent(model), "food-seeking");
+});
+
+test("a snake that backs off from head-to-heads it would lose is predicted to keep backing off", () => {
+  // b is longer, so a moving right would risk a head-to-head at (6, 5)
+  const b = board([
+    { id: "a", body: xy([5, 5], [5, 4], [5, 3]) },
+    { id: "b", body: xy([7, 5], [8, 5], [9, 5], [10, 5]) },
+  ]);
+  const model = createOpponentModel();
+  for (let i = 0; i < 3; i++) observeOpponentMove(model, b, b.snakes[0], "up", topo);
+
+  assert.deepEqual(model.headToHead.risky, { opportunities: 3, chosen: 0 });
+  assert.deepEqual(model.headToHead.winning, { opportunities: 0, chosen: 0 });
+  close(headToHeadWillingness(model, false), 1 / 5);
+  close(headToHeadWillingness(model, true), 1 / 2);
+
+  // up and left were the more open cells, always taken: odds of 4 each; right is toward
+  // b's head and contested, never taken: odds of 1/4 for each
+  assert.deepEqual(model.features.space, { opportunities: 3, chosen: 3 });
+  assert.deepEqual(model.features.aggressive, { opportunities: 3, chosen: 0 });
+  const right = (1 / 4) ** 2;
+  const p = predictMoveProbabilities(model, b, b.snakes[0], topo);
+  close(p.right, right / (right + 8));
+  close(p.up, 4 / (right + 8));
+  assert.equal(classifyOpponent(model), "unknown"); // too few observations
+});
+
+test("a move we'd have called unsafe teaches the model nothing", () => {
+  const b = board([{ id: "a", body: xy([5, 5], [5, 4], [5, 3]) }], [[8, 5]]);
+  const model = createOpponentModel();
+  observeOpponentMove(model, b, b.snakes[0], "down", topo);
+  assert.equal(model.observed, 0);
+});
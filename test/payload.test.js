@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGameState } from '../payload.js';
+import { emergencyMove } from '../emergency.js';
+import { gameState, xy } from './helpers.js';
+
+const state = (snakes, options) => gameState(snakes, { width: 7, height: 7, ...options });
+
+test("a well-formed move request passes", () => {
+  assert.deepEqual(validateGameState(state([{ id: "me", body: xy([3, 3], [3, 2]) }]), { alive: true }), []);
+});
+
+test("every problem is listed", () => {
+  const bad = state([{ id: "me", body: xy([3, 3], [3, 2]) }]);
+  delete bad.game.id;
+  bad.turn = -1;
+  bad.board.food = [{ x: "1", y: 2 }];
+  delete bad.board.snakes[0].head;
+  bad.you = { id: "me", health: 80, body: [] };
+
+  assert.deepEqual(validateGameState(bad), [
+    "game.id: expected a non-empty string",
+    "turn: expected a whole number, 0 or more",
+    "board.food[0]: expected { x, y } with whole numbers",
+    "board.snakes[0].head: expected { x, y } with whole numbers",
+    "you.body: expected a non-empty array",
+    "you.head: expected { x, y } with whole numbers",
+  ]);
+  assert.deepEqual(validateGameState(null), ["expected a JSON object"]);
+  assert.deepEqual(validateGameState({}).slice(0, 2), ["game: expected an object", "turn: expected a whole number, 0 or more"]);
+});
+
+test("a move needs our snake on the board; the end of the game doesn't", () => {
+  const over = state([{ id: "them", body: xy([3, 3], [3, 2]) }]);
+  over.you = { ...over.you, id: "me" };
+  assert.deepEqual(validateGameState(over), []);
+  assert.deepEqual(validateGameState(over, { alive: true }), ['you: snake "me" is not on the board']);
+});
+
+test("the emergency move avoids walls, bodies and bigger heads", () => {
+  // top-left corner with our neck below: right is the only way out
+  assert.equal(emergencyMove(state([{ id: "me", body: xy([0, 6], [0, 5], [0, 4]) }])), "right");
+
+  // up and left both have two ways on, but a longer snake's head could take up too
+  const s = state([
+    { id: "me", body: xy([3, 0], [4, 0], [5, 0]) },
+    { id: "them", body: xy([3, 2], [3, 3], [3, 4], [3, 5]) },
+  ]);
+  assert.equal(emergencyMove(s), "left");
+
+  // the same corner on a wrapped board: up comes out at the bottom
+  assert.equal(emergencyMove(state([{ id: "me", body: xy([0, 6], [0, 5], [0, 4]) }], { ruleset: "wrapped" })), "up");
+});
+
+test("the emergency move never throws", () => {
+  assert.equal(emergencyMove({}), "up");
+});
@@ -0,0 +1,54 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setRecordDir, recordStart, recordMove, recordEnd, readRecording, recordingPath } from '../recorder.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), "recordings-"));
+after(() => {
+  setRecordDir(null);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function request(gameId, youId, turn) {
+  const you = { id: youId, health: 90, body: [{ x: 1, y: 1 }], head: { x: 1, y: 1 }, length: 1 };
+  return {
+    game: { id: gameId, ruleset: { name: "standard" }, timeout: 500 },
+    turn,
+    board: { width: 7, height: 7, food: [], hazards: [], snakes: [you] },
+    you,
+  };
+}
+
+test("a game is recorded start to end, one snake at a time", () => {
+  setRecordDir(dir);
+  recordStart(request("g1", "a", 0));
+  recordStart(request("g1", "b", 0));
+  recordMove(request("g1", "a", 0), { move: "up", candidates: [{ move: "up", totalScore: 3 }], depth: 2, computeMs: 12 });
+  recordMove(request("g1", "b", 0), { move: "left", candidates: [], depth: 1, computeMs: 9 });
+  recordEnd(request("g1", "a", 1));
+
+  const a = readRecording(recordingPath("g1", dir));
+  assert.deepEqual(a.map((e) => e.type), ["start", "move", "end"]);
+  assert.equal(a[1].turn, 0);
+  assert.deepEqual(a[1].response, { move: "up" });
+  assert.deepEqual(a[1].candidates, [{ move: "up", totalScore: 3 }]);
+  assert.equal(a[1].depth, 2);
+  assert.equal(a[1].computeMs, 12);
+  assert.equal(a[1].request.you.id, "a");
+
+  const b = readRecording(recordingPath("g1", dir), "b");
+  assert.deepEqual(b.map((e) => e.response?.move), [undefined, "left"]);
+});
+
+test("nothing is written while recording is off", () => {
+  setRecordDir(null);
+  recordStart(request("g2", "a", 0));
+  assert.equal(existsSync(recordingPath("g2", dir)), false);
+});
+
+test("game ids are kept to safe file names", () => {
+  assert.equal(path.basename(recordingPath("../../etc/passwd", dir)), ".._.._etc_passwd.jsonl");
+  assert.equal(path.dirname(recordingPath("../../etc/passwd", dir)), dir);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { cloneState, stepTurn, DIRECTIONS } from '../rules.js';
+import { getTopology } from '../topology.js';
+
+const GAMES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "games");
+
+// Turn-by-turn game logs: each frame lists every snake as the engine reported it, and a snake
+// eliminated on that turn keeps its final body plus a `death` entry ({ cause, by }).
+// Moves aren't recorded; they're read back from how each head moved between frames.
+for (const file of readdirSync(GAMES_DIR).filter((f) => f.endsWith(".json"))) {
+  const log = JSON.parse(readFileSync(path.join(GAMES_DIR, file), "utf8"));
+
+  test(`${file}: ${log.description}`, () => {
+    for (let i = 0; i + 1 < log.frames.length; i++) {
+      const before = log.frames[i];
+      const after = log.frames[i + 1];
+      const state = stateFromFrame(log, before);
+
+      const eliminated = stepTurn(state, movesBetween(state, after));
+      const where = `turn ${before.turn} -> ${after.turn}`;
+
+      const expectedAlive = after.snakes.filter((s) => !s.death);
+      assert.deepEqual(
+        state.board.snakes.map((s) => ({ id: s.id, health: s.health, body: s.body })),
+        expectedAlive.map((s) => ({ id: s.id, health: s.health, body: s.body })),
+        `${where}: surviving snakes`,
+      );
+
+      const expectedDead = after.snakes.filter((s) => s.death);
+      const byId = (a, b) => a.id.localeCompare(b.id);
+      assert.deepEqual(
+        eliminated.map((e) => ({ id: e.id, cause: e.cause, by: e.by, body: e.snake.body })).sort(byId),
+        expectedDead.map((s) => ({ id: s.id, cause: s.death.cause, by: s.death.by, body: s.body })).sort(byId),
+        `${where}: eliminations`,
+      );
+
+      assert.deepEqual(state.board.food, after.food, `${where}: food`);
+      assert.equal(state.turn, after.turn, `${where}: turn counter`);
+    }
+  });
+}
+
+test("stepTurn keeps state.you pointing at our snake", () => {
+  const state = stateFromFrame(
+    { ruleset: { name: "standard" }, width: 7, height: 7 },
+    {
+      turn: 0,
+      food: [{ x: 1, y: 2 }],
+      snakes: [{ id: "a", health: 50, body: [{ x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 0 }] }],
+    },
+  );
+  state.you = state.board.snakes[0];
+
+  stepTurn(state, new Map([["a", "up"]]));
+
+  assert.equal(state.you, state.board.snakes[0]);
+  assert.equal(state.you.health, 100);
+  assert.equal(state.you.length, 4);
+  assert.deepEqual(state.you.head, { x: 1, y: 2 });
+});
+
+test("a snake without a move keeps going the way it faces", () => {
+  const state = stateFromFrame(
+    { ruleset: { name: "standard" }, width: 7, height: 7 },
+    { turn: 3, food: [], snakes: [{ id: "a", health: 50, body: [{ x: 3, y: 3 }, { x: 2, y: 3 }, { x: 1, y: 3 }] }] },
+  );
+
+  stepTurn(state, new Map());
+
+  assert.deepEqual(state.board.snakes[0].head, { x: 4, y: 3 });
+});
+
+test("cloneState copies are independent of the original", () => {
+  const original = stateFromFrame(
+    { ruleset: { name: "standard" }, width: 7, height: 7 },
+    { turn: 3, food: [{ x: 6, y: 6 }], snakes: [{ id: "a", health: 50, body: [{ x: 3, y: 3 }, { x: 2, y: 3 }, { x: 1, y: 3 }] }] },
+  );
+  original.you = original.board.snakes[0];
+
+  const copy = cloneState(original);
+  stepTurn(copy, new Map([["a", "up"]]));
+
+  assert.deepEqual(original.board.snakes[0].head, { x: 3, y: 3 });
+  assert.equal(original.you.health, 50);
+  assert.equal(copy.you, copy.board.snakes[0]);
+});
+
+/* -------------------- helpers -------------------- */
+
+// snakes that died on this frame's turn are history; only the living play on
+function stateFromFrame(log, frame) {
+  const snakes = frame.snakes.filter((s) => !s.death).map((s) => ({
+    id: s.id,
+    name: s.id,
+    health: s.health,
+    body: s.body.map((b) => ({ ...b })),
+    head: { ...s.body[0] },
+    length: s.body.length,
+  }));
+  return {
+    game: { id: "log", ruleset: log.ruleset },
+    turn: frame.turn,
+    board: {
+      width: log.width,
+      height: log.height,
+      food: frame.food.map((f) => ({ ...f })),
+      hazards: (frame.hazards || []).map((h) => ({ ...h })),
+      snakes,
+    },
+    you: undefined,
+  };
+}
+
+function movesBetween(state, after) {
+  const topo = getTopology(state);
+  const chosen = new Map();
+  for (const snake of state.board.snakes) {
+    const next = after.snakes.find((s) => s.id === snake.id);
+    const move = Object.keys(DIRECTIONS).find((name) => {
+      const p = topo.step(snake.body[0], DIRECTIONS[name]);
+      return p.x === next.body[0].x && p.y === next.body[0].y;
+    });
+    assert.ok(move, `${snake.id} moved from ${JSON.stringify(snake.body[0])} to ${JSON.stringify(next.body[0])}`);
+    chosen.set(snake.id, move);
+  }
+  return chosen;
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { decideMove } from '../snake.js';
+import { setLogLevel } from '../logger.js';
+import { readScenario, scenarioState } from './helpers.js';
+
+const SCENARIOS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "scenarios");
+
+// the strategy logs every move; keep the test output readable
+setLogLevel("silent");
+
+// One board per file, with what our snake ("you": snake id) must or must not do there:
+//   "mustChoose": "left" or ["left", "up"]  - the move has to be one of these
+//   "mustAvoid": ["up"]                      - the move can't be any of these
+// Optional "timeout" (ms) is the game.timeout handed to the search (default 500).
+for (const file of readdirSync(SCENARIOS_DIR).filter((f) => f.endsWith(".json"))) {
+  const scenario = readScenario(file);
+
+  test(`${file}: ${scenario.description}`, () => {
+    // a game id per file, so no two scenarios share a session
+    const decision = decideMove(scenarioState(scenario, { id: `scenario-${file}` }));
+    const scores = decision.candidates.map((c) => `${c.move} ${Number(c.totalScore ?? c.score).toFixed(1)}`).join(", ");
+    const why = `chose ${decision.move} (depth ${decision.depth}; ${scores})`;
+
+    if (scenario.mustChoose !== undefined) {
+      const allowed = [].concat(scenario.mustChoose);
+      assert.ok(allowed.includes(decision.move), `expected ${allowed.join(" or ")}, ${why}`);
+    }
+    for (const avoid of scenario.mustAvoid ?? []) {
+      assert.notEqual(decision.move, avoid, `must avoid ${avoid}, ${why}`);
+    }
+  });
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSession, getSession, endSession, observeTurn, recordOurMove, activeSessionCount } from '../sessions.js';
+import { gameState, xy } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+// our snake "me" and "them" on turn `turn`, bodies head first
+function turn(id, turn, me, them, { food = [], ruleset, health = {} } = {}) {
+  return gameState([
+    { id: "me", health: health.me ?? 90, body: xy(...me) },
+    { id: "them", health: health.them ?? 90, body: xy(...them) },
+  ], { id, turn, food: xy(...food), ruleset });
+}
+
+const observations = (session, id) => session.snakes.get(id).observations;
+
+test("each of our snakes in a game gets its own session, from /start to /end", () => {
+  const me = turn("sessions-1", 0, [[1, 1]], [[9, 9]]);
+  const them = { ...me, you: me.board.snakes[1] };
+  startSession(me);
+  startSession(them);
+  assert.notEqual(getSession(me), getSession(them));
+  assert.equal(getSession(me).youId, "me");
+
+  assert.equal(endSession(me).youId, "me");
+  assert.equal(getSession(me), undefined);
+  assert.equal(getSession(them).youId, "them");
+});
+
+test("every turn is diffed against the previous board", () => {
+  const id = "sessions-2";
+  startSession(turn(id, 0, [[1, 1], [1, 0]], [[9, 9], [9, 10]]));
+  observeTurn(turn(id, 0, [[1, 1], [1, 0]], [[9, 9], [9, 10]]));
+  const session = observeTurn(turn(id, 1, [[1, 2], [1, 1]], [[8, 9], [9, 9]], { health: { me: 89, them: 89 } }));
+  recordOurMove(session, turn(id, 1, [[1, 2], [1, 1]], [[8, 9], [9, 9]]), "right");
+
+  assert.deepEqual(observations(session, "me").map((o) => [o.turn, o.move, o.healthDelta]), [[0, null, null], [1, "up", -1]]);
+  assert.deepEqual(observations(session, "them").map((o) => o.move), [null, "left"]);
+  assert.equal(session.previousTurn, 1);
+  assert.deepEqual(session.previousBoard.snakes[1].head, { x: 8, y: 9 });
+  assert.deepEqual(session.ourMoves, [{ turn: 1, move: "right" }]);
+});
+
+test("moves across a wrapped board's edge are inferred the short way round", () => {
+  const id = "sessions-3";
+  const ruleset = "wrapped";
+  observeTurn(turn(id, 4, [[0, 5], [1, 5]], [[5, 10], [5, 9]], { ruleset }));
+  const session = observeTurn(turn(id, 5, [[10, 5], [0, 5]], [[5, 0], [5, 10]], { ruleset }));
+  assert.equal(observations(session, "me").at(-1).move, "left");
+  assert.equal(observations(session, "them").at(-1).move, "up");
+});
+
+test("food eaten is credited to the snake that grew onto it", () => {
+  const id = "sessions-4";
+  observeTurn(turn(id, 7, [[1, 1], [1, 0]], [[5, 5], [5, 4]], { food: [[5, 6], [0, 8]] }));
+  const session = observeTurn(turn(id, 8, [[1, 2], [1, 1]], [[5, 6], [5, 5], [5, 5]], { food: [[0, 8]], health: { them: 100 } }));
+
+  assert.deepEqual(session.foodEaten, [{ turn: 8, snakeId: "them", x: 5, y: 6 }]);
+  assert.equal(session.snakes.get("them").foodEaten, 1);
+  assert.equal(observations(session, "them").at(-1).ate, true);
+  assert.equal(observations(session, "me").at(-1).ate, false);
+});
+
+test("the same turn asked twice is only observed once", () => {
+  const id = "sessions-5";
+  observeTurn(turn(id, 2, [[1, 1]], [[9, 9]]));
+  observeTurn(turn(id, 3, [[1, 2], [1, 1]], [[9, 8], [9, 9]]));
+  const session = observeTurn(turn(id, 3, [[1, 2], [1, 1]], [[9, 8], [9, 9]]));
+  assert.equal(observations(session, "me").length, 2);
+});
+
+test("a game whose /end never came expires on any game's turn, and isn't counted once stale", () => {
+  const start = Date.now();
+  const quiet = turn("sessions-6", 0, [[1, 1]], [[9, 9]]);
+  startSession(quiet, start);
+  observeTurn(turn("sessions-7", 0, [[1, 1]], [[9, 9]]), start + 6 * MINUTE);
+  assert.equal(getSession(quiet), undefined);
+
+  const counted = activeSessionCount(start + 6 * MINUTE);
+  startSession(turn("sessions-8", 0, [[1, 1]], [[9, 9]]), start + 6 * MINUTE);
+  assert.equal(activeSessionCount(start + 6 * MINUTE), counted + 1);
+  assert.equal(activeSessionCount(start + 12 * MINUTE), 0);
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPosition, hashAfterTurn } from '../zobrist.js';
+import { createTranspositionTable } from '../transpositions.js';
+import { cloneState, stepTurn } from '../rules.js';
+import { runGame, createRng } from '../engine.js';
+import { emergencyMove } from '../emergency.js';
+import { decideMove, start } from '../snake.js';
+import { getSession } from '../sessions.js';
+import { configFor } from '../config.js';
+import { setLogLevel } from '../logger.js';
+
+setLogLevel("silent");
+
+const NAMES = ["up", "down", "left", "right"];
+
+// the engine treats a throwing snake as a timed-out one, so checks made inside a game are
+// collected and asserted after it
+
+test("a position's hash after a turn matches hashing the new board from scratch", () => {
+  const rng = createRng(3);
+  for (const ruleset of ["standard", "constrictor", "royale"]) {
+    let positions = 0, mismatches = 0;
+    runGame({ width: 11, height: 11, ruleset, seed: 11, maxTurns: 120 }, [0, 1, 2, 3].map((i) => ({
+      name: `p${i}`,
+      move: (state) => {
+        if (i !== 0) return { move: emergencyMove(state) };
+        // every turn, also play a few random turns on a copy, eliminations included
+        let before = cloneState(state);
+        let hash = hashPosition(before.board, 7);
+        for (let t = 0; t < 4 && before.board.snakes.length; t++) {
+          const after = cloneState(before);
+          stepTurn(after, new Map(after.board.snakes.map((s) => [s.id, rng.pick(NAMES)])));
+          hash = hashAfterTurn(hash, before.board, after.board, 7);
+          const full = hashPosition(after.board, 7);
+          if (hash.hi !== full.hi || hash.lo !== full.lo) mismatches++;
+          before = after;
+          positions++;
+        }
+        return { move: emergencyMove(state) };
+      },
+    })));
+    assert.equal(mismatches, 0, ruleset);
+    assert.ok(positions > 50, ruleset);
+  }
+});
+
+test("health above the cap hashes the same", () => {
+  const board = (health) => ({
+    width: 5, height: 5, food: [], hazards: [],
+    snakes: [{ id: "a", health, head: { x: 1, y: 1 }, body: [{ x: 1, y: 1 }, { x: 1, y: 2 }] }],
+  });
+  assert.deepEqual(hashPosition(board(60), 7), hashPosition(board(90), 7));
+  assert.notDeepEqual(hashPosition(board(6), 7), hashPosition(board(90), 7));
+  assert.notDeepEqual(hashPosition(board(60)), hashPosition(board(90)));
+});
+
+test("the table keeps the newest entries", () => {
+  const table = createTranspositionTable(2);
+  table.set(1, "a");
+  table.set(2, "b");
+  table.set(1, "a again");
+  table.set(3, "c");
+  assert.deepEqual([table.get(1), table.get(2), table.get(3), table.size], ["a again", undefined, "c", 2]);
+});
+
+test("searching with the table scores every move as a search without it does", () => {
+  // one opponent and no model pruning, so the opponent models can't change what's searched
+  let turns = 0, reused = 0;
+  const differences = [];
+  const settings = (state, transpositionEntries) => {
+    const base = configFor(state);
+    state.game.timeout = 1e9;
+    return {
+      ...base,
+      search: { ...base.search, maxDepth: 3, safetyMarginMs: 0, transpositionEntries },
+      opponents: { ...base.opponents, pruneProbability: 0 },
+    };
+  };
+  const scores = (decision) => decision.candidates.map((c) => [c.move, c.lookaheadScore]);
+
+  runGame({ width: 11, height: 11, ruleset: "standard", seed: 5, maxTurns: 25 }, [
+    {
+      name: "me",
+      move: (state) => {
+        const plain = decideMove(structuredClone(state), settings(state, 0), { dryRun: true });
+        const withTable = decideMove(state, settings(state, 100000));
+        if (JSON.stringify(scores(withTable)) !== JSON.stringify(scores(plain))) {
+          differences.push({ turn: state.turn, withTable: scores(withTable), plain: scores(plain) });
+        }
+        turns++;
+        if (withTable.combos < plain.combos) reused++;
+        return { move: withTable.move };
+      },
+    },
+    { name: "them", move: (state) => ({ move: emergencyMove(state) }) },
+  ]);
+  assert.deepEqual(differences, []);
+  assert.ok(turns >= 20);
+  assert.ok(reused > turns / 2, "each depth reuses the ones before it");
+});
+
+// heads for the nearest food for the first `turns` turns, then away from it
+function fickle(turns) {
+  const steps = { up: [0, 1], down: [0, -1], left: [-1, 0], right: [1, 0] };
+  return (state) => {
+    const { board, you } = state;
+    const open = Object.entries(steps)
+      .map(([move, [dx, dy]]) => ({ move, x: you.head.x + dx, y: you.head.y + dy }))
+      .filter((c) => c.x >= 0 && c.y >= 0 && c.x < board.width && c.y < board.height)
+      .filter((c) => !board.snakes.some((s) => s.body.slice(0, -1).some((b) => b.x === c.x && b.y === c.y)));
+    if (!open.length) return { move: "up" };
+    const toFood = (c) => Math.min(99, ...board.food.map((f) => Math.abs(f.x - c.x) + Math.abs(f.y - c.y)));
+    open.sort((a, b) => toFood(a) - toFood(b));
+    return { move: (state.turn < turns ? open[0] : open.at(-1)).move };
+  };
+}
+
+test("what the opponent models learn on a turn reaches the table's scores", () => {
+  // two opponents that change their habits, and pruning that follows the models closely
+  const differences = [];
+  let turns = 0;
+  const settings = (state, transpositionEntries) => {
+    const base = configFor(state);
+    state.game.timeout = 1e9;
+    return {
+      ...base,
+      search: { ...base.search, maxDepth: 2, safetyMarginMs: 0, transpositionEntries },
+      opponents: { ...base.opponents, pruneProbability: 0.3, minMoves: 1 },
+    };
+  };
+  const scores = (decision) => decision.candidates.map((c) => [c.move, c.lookaheadScore]);
+
+  runGame({ width: 11, height: 11, ruleset: "standard", seed: 1, maxTurns: 40 }, [
+    {
+      name: "me",
+      move: (state) => {
+        // the turn goes into the models first, then both searches read the same models
+        const withTable = decideMove(state, settings(state, 100000));
+        const plain = decideMove(structuredClone(state), settings(state, 0), { dryRun: true });
+        if (JSON.stringify(scores(withTable)) !== JSON.stringify(scores(plain))) {
+          differences.push({ turn: state.turn, withTable: scores(withTable), plain: scores(plain) });
+        }
+        turns++;
+        return { move: withTable.move };
+      },
+    },
+    { name: "them", move: fickle(10) },
+    { name: "others", move: fickle(10) },
+  ]);
+  assert.deepEqual(differences, []);
+  assert.ok(turns >= 39);
+});
+
+test("the table carries over from one turn to the next and makes later searches cheaper", () => {
+  // the same game twice: keeping the table, and starting it over every turn
+  const play = (freshEachTurn) => {
+    const decisions = [];
+    runGame({ width: 11, height: 11, ruleset: "standard", seed: 2, maxTurns: 30 }, [
+      {
+        name: "me",
+        start,
+        move: (state) => {
+          if (freshEachTurn && getSession(state)) getSession(state).transpositionSettings = null;
+          const base = configFor(state);
+          state.game.timeout = 1e9;
+          const decision = decideMove(state, { ...base, search: { ...base.search, maxDepth: 3, safetyMarginMs: 0 } });
+          decisions.push(decision);
+          return { move: decision.move };
+        },
+      },
+      { name: "them", move: fickle(15) },
+    ]);
+    return decisions;
+  };
+  const carried = play(false);
+  const fresh = play(true);
+  const scores = (decisions) => decisions.map((d) => d.candidates.map((c) => [c.move, c.lookaheadScore]));
+  const combos = (decisions) => decisions.reduce((sum, d) => sum + d.combos, 0);
+  assert.deepEqual(scores(carried), scores(fresh));
+  assert.ok(carried.length >= 25, `${carried.length} turns`);
+  assert.ok(combos(carried) < combos(fresh), `${combos(carried)} vs ${combos(fresh)}`);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULTS } from '../config.js';
+import { evolve, applyVector, vectorOf, profileOverrides, meanWithInterval, playerWithSettings } from '../tuner.js';
+import { runGame } from '../engine.js';
+import { setLogLevel } from '../logger.js';
+
+setLogLevel("silent");
+
+const params = [
+  { key: "weights.food", min: 0, max: 60 },
+  { key: "weights.trap", min: -3000, max: 0 },
+  { key: "health.seekFoodBelow", min: 10, max: 100, integer: true },
+];
+
+test("settings map to the search space and back", () => {
+  const x = vectorOf(DEFAULTS, params);
+  const settings = applyVector(DEFAULTS, params, x);
+  assert.equal(settings.weights.food, DEFAULTS.weights.food);
+  assert.equal(settings.weights.trap, DEFAULTS.weights.trap);
+  assert.equal(settings.health.seekFoodBelow, DEFAULTS.health.seekFoodBelow);
+  assert.deepEqual(settings.search, DEFAULTS.search);
+
+  const moved = applyVector(DEFAULTS, params, [1, 0, 0.5]);
+  assert.deepEqual(profileOverrides(moved, DEFAULTS, params), {
+    weights: { food: 60, trap: -3000 },
+    health: { seekFoodBelow: 55 },
+  });
+});
+
+test("the evolution strategy climbs towards better settings", () => {
+  // stand-in for self-play: the closer to the target, the higher the score
+  const target = [0.8, 0.2, 0.6];
+  const evaluate = (settings) => {
+    const x = vectorOf(settings, params);
+    return { score: 1 - Math.hypot(...x.map((v, i) => v - target[i])) };
+  };
+
+  const start = evaluate(DEFAULTS).score;
+  const { mean, best, history } = evolve({
+    baseline: DEFAULTS,
+    params,
+    evaluate,
+    generations: 25,
+    population: 8,
+    gamesPerCandidate: 1,
+    seed: 3,
+  });
+
+  assert.equal(history.length, 25);
+  assert.ok(evaluate(mean.settings).score > start + 0.3, "the mean moved towards the target");
+  assert.ok(best.result.score >= evaluate(mean.settings).score - 0.05);
+});
+
+test("score intervals never collapse on a short run of identical results", () => {
+  const r = meanWithInterval([0.5, 0.5, 0.5]);
+  assert.equal(r.score, 0.5);
+  assert.ok(r.low < 0.5 && r.high > 0.5);
+
+  const many = meanWithInterval(Array(400).fill(1));
+  assert.ok(many.low > 0.9);
+});
+
+test("self-play searches to a fixed depth, so the time budget doesn't change the game", () => {
+  const moves = (timeout) => {
+    const players = [playerWithSettings("a", DEFAULTS, 2), playerWithSettings("b", DEFAULTS, 2)];
+    const played = [];
+    runGame({ width: 7, height: 7, seed: 4, maxTurns: 30, timeout }, players, (game, chosen) => played.push([...chosen.values()]));
+    return played;
+  };
+  assert.deepEqual(moves(1), moves(500));
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bestByDeadline } from '../watchdog.js';
+import { watchedMove, decideMove } from '../snake.js';
+import { setLogLevel } from '../logger.js';
+
+setLogLevel("silent");
+
+const busy = (ms) => {
+  const until = Date.now() + ms;
+  while (Date.now() < until);
+};
+
+test("the best answer so far is returned at the deadline and the rest is cancelled", async () => {
+  let slices = 0, closed = false;
+  function* work() {
+    try {
+      yield "rough";
+      for (;;) {
+        busy(5);
+        slices++;
+        yield slices % 4 === 0 ? `refined ${slices}` : null;
+      }
+    } finally {
+      closed = true;
+    }
+  }
+
+  const startedAt = Date.now();
+  const { answer, finished } = await bestByDeadline(work(), startedAt + 60);
+  assert.equal(finished, false);
+  assert.match(answer, /^refined \d+$/);
+  assert.ok(closed);
+  assert.ok(Date.now() - startedAt < 200);
+
+  const ranAtDeadline = slices;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(slices, ranAtDeadline);
+});
+
+test("work that finishes in time returns its final answer", async () => {
+  function* work() {
+    yield "rough";
+    return "final";
+  }
+  assert.deepEqual(await bestByDeadline(work(), Date.now() + 1000), { answer: "final", finished: true });
+});
+
+test("other requests run between slices", async () => {
+  const order = [];
+  function* work() {
+    for (let i = 0; i < 3; i++) yield `step ${i}`;
+  }
+  const done = bestByDeadline(work(), Date.now() + 1000).then(() => order.push("work done"));
+  setImmediate(() => order.push("other request"));
+  await done;
+  assert.deepEqual(order, ["other request", "work done"]);
+});
+
+test("the watched move handler answers on a crowded board with a tiny budget", async () => {
+  const snakes = Array.from({ length: 8 }, (_, i) => {
+    const body = Array.from({ length: 10 }, (_, j) => ({ x: 2 * i + 1, y: 2 + j }));
+    return { id: `s${i}`, name: `s${i}`, health: 90, body, head: body[0], length: body.length };
+  });
+  const state = {
+    game: { id: "watchdog-1", ruleset: { name: "standard" }, timeout: 160 },
+    turn: 30,
+    board: { width: 19, height: 19, food: [], hazards: [], snakes },
+    you: snakes[0],
+  };
+  const startedAt = Date.now();
+  const { move } = await watchedMove(state);
+  assert.ok(["up", "down", "left", "right"].includes(move));
+  assert.notEqual(move, "up"); // into our own neck
+  assert.ok(Date.now() - startedAt < 500);
+});
+
+test("work handed elsewhere is waited for, but not past the deadline", async () => {
+  const later = (value, ms) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+  function* work() {
+    yield "rough";
+    const quick = yield later("quick result", 5);
+    yield quick;
+    yield later("too late", 500);
+    yield "never";
+  }
+  const startedAt = Date.now();
+  const { answer, finished } = await bestByDeadline(work(), startedAt + 100);
+  assert.deepEqual([answer, finished], ["quick result", false]);
+  assert.ok(Date.now() - startedAt < 300);
+});
+
+// four snakes in a row on a big empty board: more depths than any of these budgets allow
+function crowded(id, timeout, turn = 30) {
+  const snakes = Array.from({ length: 4 }, (_, i) => {
+    const body = Array.from({ length: 4 }, (_, j) => ({ x: 4 * i + 2, y: 5 + j }));
+    return { id: `s${i}`, name: `s${i}`, health: 90, body, head: body[0], length: body.length };
+  });
+  return {
+    game: { id, ruleset: { name: "standard" }, timeout },
+    turn,
+    board: { width: 19, height: 19, food: [], hazards: [], snakes },
+    you: snakes[0],
+  };
+}
+
+test("a decision's compute time covers a last depth that ran out of time", () => {
+  const startedAt = Date.now();
+  const decision = decideMove(crowded("watchdog-2", 250), undefined, { dryRun: true });
+  const elapsed = Date.now() - startedAt;
+  assert.ok(decision.depth < 6, "the search was cut short");
+  assert.ok(decision.computeMs <= elapsed && decision.computeMs >= elapsed - 20, `${decision.computeMs}ms of ${elapsed}ms`);
+});
+
+test("only the network's share of last turn's latency comes out of the search budget", () => {
+  // 400ms less the 150ms margin leaves 250ms to search
+  const first = decideMove(crowded("watchdog-3", 400));
+  assert.ok(first.computeMs >= 240, `${first.computeMs}ms`);
+
+  // 100ms of network fits inside the margin: the whole budget again
+  const next = crowded("watchdog-3", 400, 31);
+  next.you.latency = String(first.computeMs + 100);
+  const second = decideMove(next);
+  assert.ok(second.computeMs >= 240, `${second.computeMs}ms`);
+
+  // 250ms of network is 100ms more than the margin allowed for
+  const slow = crowded("watchdog-3", 400, 32);
+  slow.you.latency = String(second.computeMs + 250);
+  const third = decideMove(slow);
+  assert.ok(third.computeMs < 200, `${third.computeMs}ms`);
+});
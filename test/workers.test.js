@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { createWorkerPool } from '../pool.js';
+import { decideMove, watchedMove, explain, lookahead, setSearchWorkers } from '../snake.js';
+import { createGame, stateForSnake } from '../engine.js';
+import { configFor, setConfig } from '../config.js';
+import { adoptModels } from '../sessions.js';
+import { createOpponentModel } from '../opponents.js';
+import { setLogLevel } from '../logger.js';
+import { gameState, xy } from './helpers.js';
+
+setLogLevel("silent");
+
+const WORKER = new URL("../search-worker.js", import.meta.url);
+
+function state(id) {
+  return gameState([
+    { id: "me", health: 70, body: xy([5, 5], [5, 4], [5, 3], [4, 3]) },
+    { id: "them", health: 70, body: xy([7, 6], [7, 7], [7, 8], [6, 8], [5, 8]) },
+  ], { id, food: xy([2, 5]), turn: 20, timeout: 10000 });
+}
+
+after(() => setSearchWorkers(0));
+
+test("a search worker scores a candidate exactly as the main thread does", async () => {
+  const pool = createWorkerPool(WORKER, 2);
+  try {
+    const s = state("workers-1");
+    const settings = configFor(s);
+    const task = (move) => ({ state: s, settings, models: [], move, depth: 2, deadline: Date.now() + 10000 });
+    const [left, up] = await Promise.all([pool.run(task("left")), pool.run(task("up"))]);
+    assert.deepEqual(left, lookahead(s, settings, "left", 2, Infinity));
+    assert.deepEqual(up, lookahead(s, settings, "up", 2, Infinity));
+  } finally {
+    await pool.close();
+  }
+});
+
+test("an aborted task that hasn't started is dropped", async () => {
+  const pool = createWorkerPool(WORKER, 1);
+  try {
+    const s = state("workers-2");
+    const task = { state: s, settings: configFor(s), models: [], move: "left", depth: 1, deadline: Date.now() + 10000 };
+    const cancel = new AbortController();
+    const first = pool.run(task);
+    const second = pool.run(task, cancel.signal);
+    cancel.abort();
+    await assert.rejects(second);
+    assert.equal(typeof (await first).score, "number");
+  } finally {
+    await pool.close();
+  }
+});
+
+test("tasks that finish let go of the search's abort signal", async () => {
+  const pool = createWorkerPool(WORKER, 2);
+  try {
+    const s = state("workers-5");
+    const task = { state: s, settings: configFor(s), models: [], move: "left", depth: 1, deadline: Date.now() + 10000 };
+    const cancel = new AbortController();
+    await Promise.all(Array.from({ length: 12 }, () => pool.run(task, cancel.signal)));
+    assert.equal(getEventListeners(cancel.signal, "abort").length, 0);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("the server's move searches on workers and agrees with the main thread", async () => {
+  setConfig({ defaults: { search: { maxDepth: 2 } } });
+  try {
+    await setSearchWorkers(2);
+    const onMain = decideMove(state("workers-3"));
+    const { move } = await watchedMove(state("workers-4"));
+    assert.equal(onMain.depth, 2);
+    assert.equal(move, onMain.move);
+  } finally {
+    setConfig({});
+  }
+});
+
+test("on workers too, paranoid search falls back to best-reply when depth 1 doesn't fit", async () => {
+  await setSearchWorkers(1);
+  await explain(state("workers-6")); // the worker is up before the clock matters
+  const game = createGame({ width: 19, height: 19, ruleset: "standard", seed: 2, timeout: 500 },
+    Array.from({ length: 8 }, (_, i) => ({ name: `s${i}` })));
+  const result = await explain(stateForSnake(game, game.board.snakes[0].id));
+  assert.ok(result.depth >= 1, `depth ${result.depth}`);
+  assert.ok(result.notes.some((n) => n.includes("best-reply")), result.notes.join("; "));
+});
+
+test("a worker's table doesn't score with models the main thread has since replaced", () => {
+  // what a worker does per task, on this thread: adopt the task's models, then search
+  const s = gameState([
+    { id: "me", health: 70, body: xy([5, 5], [5, 4], [5, 3]) },
+    { id: "them", health: 70, body: xy([7, 6], [7, 7], [7, 8]) },
+    { id: "others", health: 70, body: xy([3, 7], [3, 8], [3, 9]) },
+  ], { id: "workers-7", food: xy([8, 6], [2, 7]), turn: 20, timeout: 10000 });
+  const base = configFor(s);
+  const settings = (transpositionEntries) => ({
+    ...base,
+    search: { ...base.search, transpositionEntries },
+    opponents: { ...base.opponents, pruneProbability: 0.3, minMoves: 1 },
+  });
+  // ten moves, every one of them toward food
+  const foodie = createOpponentModel();
+  foodie.observed = 10;
+  foodie.features.food = { opportunities: 10, chosen: 10 };
+
+  adoptModels(s, [["them", createOpponentModel()], ["others", createOpponentModel()]]);
+  const before = lookahead(s, settings(100000), "up", 2, Infinity);
+  adoptModels(s, [["them", foodie], ["others", foodie]]);
+  const after = lookahead(s, settings(100000), "up", 2, Infinity);
+  assert.equal(after.score, lookahead(s, settings(0), "up", 2, Infinity).score);
+  assert.notEqual(after.score, before.score);
+});
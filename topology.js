@@ -0,0 +1,60 @@
+// Board topology: how cells connect under the current ruleset.
+// - standard / royale / constrictor boards have hard walls
+// - "wrapped" boards join opposite edges (a torus): moving off one side enters the other,
+//   there are no walls, and distances are measured the short way around
+
+const cache = new Map();
+
+export function isWrappedRuleset(name) {
+  return typeof name === "string" && name.includes("wrapped");
+}
+
+// Topology for a game state (cached per ruleset + board size)
+export function getTopology(state) {
+  const name = state?.game?.ruleset?.name ?? "standard";
+  const { width, height } = state.board;
+  const wrapped = isWrappedRuleset(name);
+  const key = `${wrapped ? "wrapped" : "bounded"}:${width}x${height}`;
+  let topo = cache.get(key);
+  if (!topo) {
+    topo = wrapped ? createWrappedTopology(width, height) : createBoundedTopology(width, height);
+    cache.set(key, topo);
+  }
+  return topo;
+}
+
+export function createBoundedTopology(width, height) {
+  const inBounds = (p) => p.x >= 0 && p.y >= 0 && p.x < width && p.y < height;
+  return {
+    wrapped: false,
+    width,
+    height,
+    inBounds,
+    normalize: (p) => p,
+    step: (p, move) => ({ x: p.x + move.dx, y: p.y + move.dy }),
+    distance: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+    // number of walls touching this cell (0-2)
+    wallCount: (p) =>
+      (p.x === 0 || p.x === width - 1 ? 1 : 0) + (p.y === 0 || p.y === height - 1 ? 1 : 0),
+  };
+}
+
+export function createWrappedTopology(width, height) {
+  const mod = (v, n) => ((v % n) + n) % n;
+  const normalize = (p) => ({ x: mod(p.x, width), y: mod(p.y, height) });
+  const axisDistance = (a, b, n) => {
+    const d = Math.abs(a - b) % n;
+    return Math.min(d, n - d);
+  };
+  return {
+    wrapped: true,
+    width,
+    height,
+    // every normalized cell is on the board; there is nothing to fall off
+    inBounds: () => true,
+    normalize,
+    step: (p, move) => normalize({ x: p.x + move.dx, y: p.y + move.dy }),
+    distance: (a, b) => axisDistance(a.x, b.x, width) + axisDistance(a.y, b.y, height),
+    wallCount: () => 0,
+  };
+}
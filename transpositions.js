@@ -0,0 +1,26 @@
+// A bounded transposition table: search results by position key (see zobrist.js), kept
+// for a whole game in its session so one turn's search can reuse the previous one's (see
+// transpositionTable() in snake.js).
+// When full, the oldest entry makes room; an entry written again counts as new.
+
+export function createTranspositionTable(capacity) {
+  const entries = new Map();
+  let lookups = 0, hits = 0;
+  return {
+    get(key) {
+      lookups++;
+      const entry = entries.get(key);
+      if (entry) hits++;
+      return entry;
+    },
+    set(key, entry) {
+      if (entries.has(key)) entries.delete(key);
+      else if (entries.size >= capacity) entries.delete(entries.keys().next().value);
+      entries.set(key, entry);
+    },
+    get size() {
+      return entries.size;
+    },
+    stats: () => ({ size: entries.size, lookups, hits }),
+  };
+}
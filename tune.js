@@ -0,0 +1,151 @@
+// Tune the strategy's weights by self-play (see tuner.js) and write the result as a profile.
+//
+//   node tune.js                                      tune against the default profile
+//   node tune.js --generations 20 --population 12 --games 16 --seed 1
+//   node tune.js -g royale --baseline royale --params weights.hazard,weights.hazardSpace
+//
+// The best settings found are written to --out as a config file: the current config plus a
+// profile named --name. Play with it via STRATEGY_CONFIG=<out> STRATEGY_PROFILE=<name>.
+
+import { parseArgs, format } from 'node:util';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { DEFAULT_CONFIG_PATH, resolveConfig, DEFAULT_PROFILE } from './config.js';
+import { TUNABLE, evolve, playMatches, profileOverrides, readSetting } from './tuner.js';
+import { setLogLevel } from './logger.js';
+
+const USAGE = `Usage: node tune.js [options]
+
+  -W, --width <n>             board width (default 11)
+  -H, --height <n>            board height (default 11)
+  -g, --ruleset <name>        ruleset the games are played under (default standard)
+  -n, --snakes <n>            snakes per game: the candidate plus n-1 baseline copies (default 2)
+      --generations <n>       evolution steps (default 10)
+      --population <n>        variants tried per generation (default 8)
+      --games <n>             games per variant per generation (default 8)
+      --validate-games <n>    games to confirm the result against the baseline (default 40)
+      --seed <n>              seed for the whole run (default: current time)
+      --max-turns <n>         stop a game after this many turns (default 300)
+      --depth <n>             lookahead depth of every move, searched with no deadline (default 1)
+      --config <path>         config to start from (default config.json)
+      --baseline <profile>    profile to start from and play against (default "${DEFAULT_PROFILE}")
+      --params <keys>         comma-separated settings to tune (default: all of them)
+      --name <profile>        name of the profile to write (default tuned)
+  -o, --out <path>            where to write the config (default tuned-config.json)
+  -h, --help                  show this help
+
+Tunable settings: ${TUNABLE.map((p) => p.key).join(", ")}`;
+
+const print = (...args) => process.stdout.write(format(...args) + "\n");
+
+const { values: args } = parseArgs({
+  options: {
+    width: { type: "string", short: "W", default: "11" },
+    height: { type: "string", short: "H", default: "11" },
+    ruleset: { type: "string", short: "g", default: "standard" },
+    snakes: { type: "string", short: "n", default: "2" },
+    generations: { type: "string", default: "10" },
+    population: { type: "string", default: "8" },
+    games: { type: "string", default: "8" },
+    "validate-games": { type: "string", default: "40" },
+    seed: { type: "string" },
+    "max-turns": { type: "string", default: "300" },
+    depth: { type: "string", default: "1" },
+    config: { type: "string", default: DEFAULT_CONFIG_PATH },
+    baseline: { type: "string", default: DEFAULT_PROFILE },
+    params: { type: "string" },
+    name: { type: "string", default: "tuned" },
+    out: { type: "string", short: "o", default: "tuned-config.json" },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (args.help) {
+  print(USAGE);
+  process.exit(0);
+}
+
+// the strategy logs every move
+setLogLevel("silent");
+
+const rawConfig = existsSync(args.config) ? JSON.parse(readFileSync(args.config, "utf8")) : {};
+const baseline = resolveConfig(rawConfig).profiles[args.baseline];
+if (!baseline) throw new Error(`${args.config} has no profile "${args.baseline}"`);
+
+const params = args.params
+  ? args.params.split(",").map((key) => {
+      const p = TUNABLE.find((t) => t.key === key.trim());
+      if (!p) throw new Error(`can't tune "${key}"; tunable settings are ${TUNABLE.map((t) => t.key).join(", ")}`);
+      return p;
+    })
+  : TUNABLE;
+
+const gameOptions = {
+  width: Number(args.width),
+  height: Number(args.height),
+  ruleset: args.ruleset,
+  depth: Number(args.depth),
+  maxTurns: Number(args["max-turns"]),
+  snakes: Number(args.snakes),
+};
+const seed = args.seed !== undefined ? Number(args.seed) : Date.now();
+const even = 1 / gameOptions.snakes; // what the baseline scores against itself, roughly
+const startedAt = Date.now();
+
+print(`tuning ${params.length} setting(s) against "${args.baseline}": ${args.ruleset} ${args.width}x${args.height}, ` +
+  `${gameOptions.snakes} snakes, depth ${gameOptions.depth}, seed ${seed}`);
+
+const result = evolve({
+  baseline,
+  params,
+  generations: Number(args.generations),
+  population: Number(args.population),
+  gamesPerCandidate: Number(args.games),
+  seed,
+  evaluate: (settings, seeds) => playMatches(settings, baseline, seeds, gameOptions),
+  onGeneration: (g, top) => {
+    const secs = ((Date.now() - startedAt) / 1000).toFixed(0);
+    print(`generation ${String(g.generation).padStart(3)}: best ${pct(g.bestScore)} (${record(top.result)}), ` +
+      `average ${pct(g.meanScore)}, step ${g.step.toFixed(3)}  [${secs}s]`);
+  },
+});
+
+// the best single variant is flattered by luck; check it and the final mean on fresh games
+const validationSeeds = Array.from({ length: Number(args["validate-games"]) }, (_, i) => seed + 1_000_003 + i);
+const finalists = [
+  { label: "final mean", settings: result.mean.settings },
+  { label: "best variant", settings: result.best.settings },
+].map((f) => ({ ...f, result: playMatches(f.settings, baseline, validationSeeds, gameOptions) }));
+
+print(`\nvalidation over ${validationSeeds.length} games (baseline vs itself ≈ ${pct(even)}):`);
+for (const f of finalists) {
+  print(`  ${f.label.padEnd(13)} ${pct(f.result.score)}  95% ${pct(f.result.low)}-${pct(f.result.high)}  (${record(f.result)})`);
+}
+
+const chosen = finalists.sort((a, b) => b.result.score - a.result.score)[0];
+const overrides = profileOverrides(chosen.settings, baseline, params);
+print(`\nchosen: ${chosen.label}`);
+for (const p of params) {
+  const before = readSetting(baseline, p.key), after = readSetting(chosen.settings, p.key);
+  print(`  ${p.key.padEnd(36)} ${String(before).padStart(8)} -> ${after}`);
+}
+if (chosen.result.low <= even) {
+  print(`  (the interval includes ${pct(even)}: not clearly better than the baseline; more --validate-games would tell)`);
+}
+
+// the baseline profile's own overrides carry over, so the new profile stands on its own
+const baseOverrides = rawConfig.profiles?.[args.baseline] ?? {};
+const profile = structuredClone(baseOverrides);
+for (const [section, values] of Object.entries(overrides)) profile[section] = { ...profile[section], ...values };
+
+const output = { ...rawConfig, profiles: { ...(rawConfig.profiles ?? {}), [args.name]: profile } };
+resolveConfig(output); // never write a config the snake would refuse to load
+writeFileSync(args.out, JSON.stringify(output, null, 2) + "\n");
+print(`\nwrote profile "${args.name}" to ${args.out}; try it with STRATEGY_CONFIG=${args.out} STRATEGY_PROFILE=${args.name}`);
+
+function pct(v) {
+  return `${(v * 100).toFixed(1)}%`;
+}
+
+function record(r) {
+  return `${r.wins}W ${r.draws}D ${r.losses}L`;
+}
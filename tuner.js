@@ -0,0 +1,189 @@
+// Weight tuning by self-play: a separable evolution strategy (CMA-ES without the covariance
+// matrix) over the settings in TUNABLE, scored by playing offline games against a baseline.
+//
+// Each generation samples `population` variants around the current mean (every setting scaled
+// to 0..1 between its bounds, with its own step size), plays each one against the baseline on
+// the same seeds, and moves the mean towards the best half. Step sizes follow the spread of
+// the winners, so settings that don't matter keep exploring while decided ones settle.
+
+import { runGame, createRng } from './engine.js';
+import { decideMove, start, end } from './snake.js';
+
+// What can be tuned, and the range it's searched in
+export const TUNABLE = [
+  { key: "weights.food", min: 0, max: 60 },
+  { key: "weights.kill", min: 0, max: 2000 },
+  { key: "weights.voronoi", min: 0, max: 6 },
+  { key: "weights.wallHug", min: 0, max: 20 },
+  { key: "weights.tailChase", min: 0, max: 50 },
+  { key: "weights.trap", min: -3000, max: 0 },
+  { key: "weights.choke", min: 0, max: 1000 },
+  { key: "weights.hazard", min: 0, max: 300 },
+  { key: "weights.hazardSpace", min: 0, max: 1 },
+  { key: "health.seekFoodBelow", min: 10, max: 100, integer: true },
+  { key: "health.ignoreFoodAbove", min: 20, max: 100, integer: true },
+  { key: "opponents.headToHeadRiskTolerance", min: 0, max: 0.5 },
+];
+
+const INITIAL_STEP = 0.15; // in 0..1 units of each setting's range
+const MIN_STEP = 0.02;
+const STEP_MEMORY = 0.6; // share of the old step size kept each generation
+
+/* -------------------- Settings <-> search space -------------------- */
+
+export function readSetting(settings, key) {
+  const [section, name] = key.split(".");
+  return settings[section][name];
+}
+
+// Copy of `settings` with the tunable values taken from x (0..1 per parameter)
+export function applyVector(settings, params, x) {
+  const out = structuredClone(settings);
+  params.forEach((p, i) => {
+    const [section, name] = p.key.split(".");
+    let value = p.min + clamp01(x[i]) * (p.max - p.min);
+    value = p.integer ? Math.round(value) : Number(value.toPrecision(4));
+    out[section][name] = value;
+  });
+  return out;
+}
+
+export function vectorOf(settings, params) {
+  return params.map((p) => clamp01((readSetting(settings, p.key) - p.min) / (p.max - p.min)));
+}
+
+// The part of `settings` that differs from `baseline`, shaped like a config.json profile
+export function profileOverrides(settings, baseline, params) {
+  const overrides = {};
+  for (const p of params) {
+    const [section, name] = p.key.split(".");
+    if (settings[section][name] === baseline[section][name]) continue;
+    overrides[section] ??= {};
+    overrides[section][name] = settings[section][name];
+  }
+  return overrides;
+}
+
+/* -------------------- Evolution strategy -------------------- */
+
+// evaluate(settings, seeds) -> { score, ... } with score in 0..1, higher is better.
+// Returns { mean, best, history } where mean/best are { settings, result }.
+export function evolve({ baseline, params, evaluate, generations, population, gamesPerCandidate, seed, onGeneration }) {
+  const rng = createRng(seed);
+  const gaussian = () => {
+    // Box-Muller
+    const u = 1 - rng.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng.next());
+  };
+
+  let mean = vectorOf(baseline, params);
+  let step = params.map(() => INITIAL_STEP);
+  let best = null;
+  const history = [];
+
+  const elite = Math.max(1, Math.floor(population / 2));
+  // log-rank recombination weights, best first
+  const rawWeights = Array.from({ length: elite }, (_, i) => Math.log(elite + 0.5) - Math.log(i + 1));
+  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+  const weights = rawWeights.map((w) => w / weightSum);
+
+  for (let g = 0; g < generations; g++) {
+    // every variant of a generation plays the same games
+    const seeds = Array.from({ length: gamesPerCandidate }, () => rng.int(2 ** 31));
+
+    const candidates = Array.from({ length: population }, (_, i) => {
+      // the current mean always competes, so a generation can't get worse by sampling alone
+      const x = i === 0 ? mean.slice() : mean.map((m, j) => clamp01(m + step[j] * gaussian()));
+      const settings = applyVector(baseline, params, x);
+      return { x, settings, result: evaluate(settings, seeds) };
+    });
+    candidates.sort((a, b) => b.result.score - a.result.score);
+
+    if (!best || candidates[0].result.score > best.result.score) best = candidates[0];
+
+    const nextMean = params.map((_, j) => candidates.slice(0, elite).reduce((sum, c, i) => sum + weights[i] * c.x[j], 0));
+    step = params.map((_, j) => {
+      const spread = Math.sqrt(candidates.slice(0, elite).reduce((sum, c, i) => sum + weights[i] * (c.x[j] - mean[j]) ** 2, 0));
+      return Math.max(MIN_STEP, STEP_MEMORY * step[j] + (1 - STEP_MEMORY) * spread);
+    });
+    mean = nextMean;
+
+    const summary = {
+      generation: g + 1,
+      bestScore: candidates[0].result.score,
+      meanScore: candidates.reduce((sum, c) => sum + c.result.score, 0) / candidates.length,
+      step: step.reduce((a, b) => a + b, 0) / step.length,
+    };
+    history.push(summary);
+    if (onGeneration) onGeneration(summary, candidates[0]);
+  }
+
+  return {
+    mean: { settings: applyVector(baseline, params, mean) },
+    best,
+    history,
+  };
+}
+
+/* -------------------- Scoring by self-play -------------------- */
+
+// A snake playing our strategy with fixed settings instead of the configured profile.
+// With `depth`, every move is searched to exactly that depth with no deadline (as in bench.js),
+// so a game plays out the same however fast the machine is.
+export function playerWithSettings(name, settings, depth) {
+  const fixed = depth === undefined ? settings
+    : { ...settings, search: { ...settings.search, maxDepth: depth, safetyMarginMs: 0 } };
+  return {
+    name,
+    move: (state) => {
+      if (depth !== undefined) state.game.timeout = 1e9;
+      return { move: decideMove(state, fixed).move };
+    },
+    start,
+    end,
+  };
+}
+
+// Candidate as snake 1 against (snakes - 1) baseline copies, once per seed, every move
+// searched to options.depth. A win scores 1, a draw (no single survivor) 0.5; score is the average.
+export function playMatches(candidate, baseline, seeds, options) {
+  const { snakes = 2, depth = 1 } = options;
+  const players = [
+    playerWithSettings("candidate", candidate, depth),
+    ...Array.from({ length: snakes - 1 }, (_, i) => playerWithSettings(`baseline-${i + 1}`, baseline, depth)),
+  ];
+
+  let wins = 0, draws = 0, losses = 0;
+  const scores = [];
+  for (const seed of seeds) {
+    const result = runGame({ ...options, seed, id: `tune-${seed}` }, players);
+    if (result.winnerIndex === 0) {
+      wins++;
+      scores.push(1);
+    } else if (result.winnerIndex === null) {
+      draws++;
+      scores.push(0.5);
+    } else {
+      losses++;
+      scores.push(0);
+    }
+  }
+  return { games: seeds.length, wins, draws, losses, ...meanWithInterval(scores) };
+}
+
+// Mean score and a normal-approximation 95% interval around it. The spread is taken with
+// one extra win and loss mixed in, so a short run of identical results isn't "certain".
+export function meanWithInterval(scores) {
+  const n = scores.length;
+  if (n === 0) return { score: 0, low: 0, high: 1 };
+  const mean = scores.reduce((a, b) => a + b, 0) / n;
+  const smoothed = [...scores, 0, 1];
+  const smoothedMean = smoothed.reduce((a, b) => a + b, 0) / smoothed.length;
+  const variance = smoothed.reduce((a, s) => a + (s - smoothedMean) ** 2, 0) / (smoothed.length - 1);
+  const margin = 1.96 * Math.sqrt(variance / n);
+  return { score: mean, low: Math.max(0, mean - margin), high: Math.min(1, mean + margin) };
+}
+
+function clamp01(v) {
+  return Math.min(1, Math.max(0, v));
+}
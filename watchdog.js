@@ -0,0 +1,44 @@
+// Response watchdog: run a computation in slices and stop at a hard deadline with the best
+// answer it has produced so far.
+// The work is a generator that yields ever-better answers (or null at a checkpoint with
+// nothing new) and returns its final one. It may also yield a promise for work done
+// elsewhere (worker threads); it is resumed with the resolved value, unless the deadline
+// comes first. Between slices the event loop gets a turn, so other requests aren't starved;
+// once the deadline passes no further slice starts and the generator is closed, which
+// cancels the rest of the work.
+// A single slice can't be interrupted, so slices have to stay short (the lookahead checks
+// the same deadline from inside).
+
+export async function bestByDeadline(steps, deadline) {
+  let answer = null;
+  let received;
+  try {
+    for (;;) {
+      const { value, done } = steps.next(received);
+      received = undefined;
+      if (typeof value?.then === "function") {
+        const outcome = await settleBy(value, answer ? deadline : Infinity);
+        if (outcome.late) return { answer, finished: false };
+        received = outcome.value;
+        continue;
+      }
+      if (value) answer = value;
+      if (done) return { answer, finished: true };
+      await nextTick();
+      if (Date.now() >= deadline && answer) return { answer, finished: false };
+    }
+  } finally {
+    steps.return();
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+function settleBy(promise, deadline) {
+  if (deadline === Infinity) return promise.then((value) => ({ value }));
+  let timer;
+  const late = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ late: true }), Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([promise.then((value) => ({ value })), late]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,107 @@
+// Zobrist hashing of board positions, for the lookahead's transposition table.
+// A position hashes to the XOR of one pseudo-random key per feature:
+//   - every body segment and the head of each snake (snakes are told apart by id)
+//   - each snake's length and health bucket
+//   - every food and hazard cell
+// A turn only changes a few features per snake, so hashAfterTurn() derives the next
+// position's hash from the previous one instead of walking the board again.
+// Keys come from a mixing function of (snake, feature, value) rather than a table of
+// random numbers, which is the same thing for any board size without building one.
+// Hashes are two 32-bit halves, { hi, lo }; tableKey() folds one into a 53-bit Map key.
+
+const SEED_HI = 0x2545f491;
+const SEED_LO = 0x9e3779b9;
+const FOOD = 1, HAZARD = 2, BODY = 3, HEAD = 4, LENGTH = 5, HEALTH = 6, TABLE = 7;
+
+// Health beyond `healthCap` hashes the same: with no hazards on the board, a snake that
+// can't starve within the search horizon plays out identically whatever its health
+export function hashPosition(board, healthCap = Infinity) {
+  const hash = { hi: 0, lo: 0 };
+  const { width } = board;
+  for (const f of board.food) toggle(hash, 0, FOOD, f.y * width + f.x);
+  for (const h of board.hazards || []) toggle(hash, 0, HAZARD, h.y * width + h.x);
+  for (const s of board.snakes) {
+    const salt = snakeSalt(s.id);
+    for (const b of s.body) toggle(hash, salt, BODY, b.y * width + b.x);
+    toggle(hash, salt, HEAD, s.head.y * width + s.head.x);
+    toggle(hash, salt, LENGTH, s.body.length);
+    toggle(hash, salt, HEALTH, Math.min(s.health, healthCap));
+  }
+  return hash;
+}
+
+// The hash of `after`, the board `before` (hashed as `hash`) turned into by rules.stepTurn()
+export function hashAfterTurn(hash, before, after, healthCap = Infinity) {
+  const next = { hi: hash.hi, lo: hash.lo };
+  const { width } = before;
+  const cell = (p) => p.y * width + p.x;
+
+  for (const s of before.snakes) {
+    const salt = snakeSalt(s.id);
+    const n = s.body.length;
+    const now = after.snakes.find((a) => a.id === s.id);
+    if (!now) {
+      for (const b of s.body) toggle(next, salt, BODY, cell(b));
+    } else {
+      // moving drops the old tail and adds the new head; growing repeats the new tail
+      toggle(next, salt, BODY, cell(s.body[n - 1]));
+      toggle(next, salt, BODY, cell(now.head));
+      for (let i = n; i < now.body.length; i++) toggle(next, salt, BODY, cell(now.body[i]));
+    }
+    toggle(next, salt, HEAD, cell(s.head));
+    toggle(next, salt, LENGTH, n);
+    toggle(next, salt, HEALTH, Math.min(s.health, healthCap));
+    if (now) {
+      toggle(next, salt, HEAD, cell(now.head));
+      toggle(next, salt, LENGTH, now.body.length);
+      toggle(next, salt, HEALTH, Math.min(now.health, healthCap));
+    }
+  }
+
+  // food only ever disappears during a turn (spawning is the game engine's business)
+  if (after.food.length !== before.food.length) {
+    const left = new Set(after.food.map(cell));
+    for (const f of before.food) if (!left.has(cell(f))) toggle(next, 0, FOOD, cell(f));
+  }
+  return next;
+}
+
+// A Map key for `hash` combined with a small extra value (a search depth, a move...)
+export function tableKey(hash, value) {
+  const hi = hash.hi ^ feature(SEED_HI, 0, TABLE, value);
+  const lo = hash.lo ^ feature(SEED_LO, 0, TABLE, value);
+  return (hi >>> 11) * 4294967296 + (lo >>> 0);
+}
+
+/* -------------------- Keys -------------------- */
+
+function toggle(hash, salt, kind, value) {
+  hash.hi ^= feature(SEED_HI, salt, kind, value);
+  hash.lo ^= feature(SEED_LO, salt, kind, value);
+}
+
+function feature(seed, salt, kind, value) {
+  return mix(mix(seed ^ salt) + mix((kind << 20) ^ (value & 0xfffff)));
+}
+
+// murmur3's finalizer: every input bit affects every output bit
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  return h ^ (h >>> 16);
+}
+
+const salts = new Map(); // snake id -> FNV-1a hash of it
+
+function snakeSalt(id) {
+  let salt = salts.get(id);
+  if (salt === undefined) {
+    salt = 0x811c9dc5;
+    for (let i = 0; i < id.length; i++) salt = Math.imul(salt ^ id.charCodeAt(i), 0x01000193);
+    if (salts.size >= 4096) salts.clear(); // ids from games long over
+    salts.set(id, salt);
+  }
+  return salt;
+}